@@ -1,14 +1,219 @@
 // Simple CORS proxy for Canvas DAP API
 const axios = require('axios');
+const https = require('https');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { DAPLogger } = require('../dap_log.js');
+const { CredentialProfiles } = require('../dap_profiles.js');
+
+// One JSON line per entry; the level comes from DAP_LOG_LEVEL (default: info).
+// Credentials, tokens and presigned S3 signatures are masked by the logger.
+const logger = new DAPLogger('DAP Proxy', DAPLogger.defaultLevel('info'), 'json');
+
+// Targets the proxy may call, as "host" or "host/path-prefix"; "*" matches within one host label.
+// Override with a comma-separated DAP_PROXY_ALLOWED_TARGETS.
+const DEFAULT_ALLOWED_TARGETS = [
+  'api-gateway.instructure.com/ids/',
+  'api-gateway.instructure.com/dap/',
+  'data-access-platform-*.s3.amazonaws.com',
+  'data-access-platform-*.s3.*.amazonaws.com'
+];
+
+// Methods the DAP API uses; anything else is rejected
+const ALLOWED_METHODS = ['GET', 'POST'];
+
+// Largest JSON or text body read into memory; binary bodies are streamed and not limited
+const MAX_BUFFERED_BODY = 100 * 1024 * 1024; // 100MB
+
+// Response headers describing a streamed binary body. The body itself is sent as-is with
+// the upstream Content-Type, Content-Length and Content-Encoding.
+const UPSTREAM_STATUS_HEADER = 'X-Upstream-Status';
+const UPSTREAM_STATUS_TEXT_HEADER = 'X-Upstream-Status-Text';
+const UPSTREAM_HEADERS_HEADER = 'X-Upstream-Headers';
+
+// Header naming the credential profile to log in with; the proxy replaces it with the
+// profile's credentials and never forwards it
+const PROFILE_HEADER = 'x-dap-profile';
+
+// Header with the access key of the credential profile; checked here and never forwarded
+const PROFILE_KEY_HEADER = 'x-dap-profile-key';
+
+// The only request a credential profile can be used for
+const LOGIN_PATH = '/ids/auth/login';
+
+// Credential profiles, loaded on first use (decrypting the profile file is slow). A failed
+// load is kept as well, so a wrong key does not run the key derivation on every request.
+let credentialProfiles = null;
+let credentialProfilesError = null;
+
+// Read a comma-separated list from an environment variable
+const readList = (value, defaults) => {
+  if (value === undefined || value.trim() === '') {
+    return defaults;
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Read the proxy settings from the environment
+const getProxyConfig = () => ({
+  allowedTargets: readList(process.env.DAP_PROXY_ALLOWED_TARGETS, DEFAULT_ALLOWED_TARGETS),
+  // Origins allowed to call the proxy cross-origin ("*" for any); the app's own origin is always allowed
+  allowedOrigins: readList(process.env.DAP_PROXY_ALLOWED_ORIGINS, []),
+  // Only for debugging against hosts with broken certificates
+  verifyTls: process.env.DAP_PROXY_INSECURE_TLS !== 'true',
+  // Reject logins with credentials sent by the browser, so only credential profiles can be used
+  profilesOnly: process.env.DAP_PROXY_PROFILES_ONLY === 'true'
+});
+
+// Get the credential profiles from the environment and the encrypted profile file
+const getCredentialProfiles = () => {
+  if (credentialProfilesError) {
+    throw credentialProfilesError;
+  }
+  if (!credentialProfiles) {
+    try {
+      credentialProfiles = CredentialProfiles.fromEnvironment();
+    } catch (error) {
+      credentialProfilesError = error;
+      throw error;
+    }
+  }
+  return credentialProfiles;
+};
+
+// Take a header out of a header dictionary (any case), returning its value or null
+const takeHeader = (headers, header) => {
+  let value = null;
+  Object.keys(headers).forEach(name => {
+    if (name.toLowerCase() === header) {
+      value = headers[name] || null;
+      delete headers[name];
+    }
+  });
+  return value;
+};
+
+// Check whether a host matches an allowlist host pattern
+const matchesHost = (host, pattern) => {
+  const regex = pattern.toLowerCase().split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[a-z0-9-]*');
+  return new RegExp(`^${regex}$`).test(host.toLowerCase());
+};
+
+// Get the reason a target may not be called, or null if it is allowed
+const checkTarget = (url, method, allowedTargets) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return `Invalid URL: ${url}`;
+  }
+  
+  if (!ALLOWED_METHODS.includes(method.toUpperCase())) {
+    return `Method not allowed: ${method}`;
+  }
+  if (target.protocol !== 'https:' || target.port !== '' || target.username || target.password) {
+    return `Only https URLs without a port or credentials are allowed: ${target.origin}`;
+  }
+  
+  const allowed = allowedTargets.some(entry => {
+    const slash = entry.indexOf('/');
+    const host = slash === -1 ? entry : entry.slice(0, slash);
+    const pathPrefix = slash === -1 ? '/' : entry.slice(slash);
+    return matchesHost(target.hostname, host) && target.pathname.startsWith(pathPrefix);
+  });
+  return allowed ? null : `Target not allowed: ${target.hostname}${target.pathname}`;
+};
+
+// Check whether a content type is JSON or text, which is returned in the JSON envelope
+const isTextContentType = (contentType) => {
+  const type = (contentType || '').toLowerCase();
+  return type === '' || type.includes('json') || type.startsWith('text/') ||
+    type.includes('xml') || type.includes('x-www-form-urlencoded');
+};
+
+// Read a whole upstream body stream and undo its Content-Encoding
+const readBody = async (stream, contentEncoding) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > MAX_BUFFERED_BODY) {
+      stream.destroy();
+      throw new Error(`Response body exceeds ${MAX_BUFFERED_BODY} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  
+  const buffer = Buffer.concat(chunks);
+  switch ((contentEncoding || '').toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(buffer);
+    case 'deflate':
+      return zlib.inflateSync(buffer);
+    case 'br':
+      return zlib.brotliDecompressSync(buffer);
+    default:
+      return buffer;
+  }
+};
+
+// Decode a JSON or text body; JSON that does not parse is returned as text
+const decodeBody = (buffer, contentType) => {
+  if (buffer.length === 0) {
+    return null;
+  }
+  const text = buffer.toString('utf8');
+  if ((contentType || '').toLowerCase().includes('json')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+};
+
+// Check whether a cross-origin caller may use the proxy
+const isAllowedOrigin = (req, origin, allowedOrigins) => {
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  try {
+    if (new URL(origin).host === host) {
+      return true;
+    }
+  } catch (error) {
+    return false;
+  }
+  return allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+};
 
 module.exports = async (req, res) => {
-  // Log request for debugging
-  console.log(`Proxy received ${req.method} request`);
+  // Use the client's request ID when it sends one, so client and proxy lines can be matched
+  const clientRequestId = req.headers['x-request-id'];
+  const requestId = /^[A-Za-z0-9._-]{1,64}$/.test(clientRequestId || '') ? clientRequestId : DAPLogger.createRequestId();
+  res.setHeader('X-Request-ID', requestId);
+  logger.debug(`Proxy received ${req.method} request`, null, requestId);
+  
+  const config = getProxyConfig();
   
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PATCH, DELETE, PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Date, X-Api-Version, Origin');
+  // Only the app itself and the configured origins may call the proxy
+  const origin = req.headers.origin;
+  if (origin) {
+    if (!isAllowedOrigin(req, origin, config.allowedOrigins)) {
+      logger.warn(`Rejected request from origin ${origin}`, null, requestId);
+      return res.status(403).json({ error: `Origin not allowed: ${origin}`, code: 'ORIGIN_NOT_ALLOWED' });
+    }
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Request-ID');
+  res.setHeader('Access-Control-Expose-Headers', [
+    'X-Request-ID', UPSTREAM_STATUS_HEADER, UPSTREAM_STATUS_TEXT_HEADER, UPSTREAM_HEADERS_HEADER,
+    'Content-Length', 'Content-Encoding'
+  ].join(', '));
   
   // Handle OPTIONS preflight
   if (req.method === 'OPTIONS') {
@@ -21,6 +226,23 @@ module.exports = async (req, res) => {
   }
   
   try {
+    // Profiles are only offered to the app and the configured origins. Browsers always send
+    // Origin with a POST; other clients can fake it, so logins also need the profile's access key.
+    const usesProfile = (req.body && req.body.action === 'profiles') ||
+      Object.keys((req.body && req.body.headers) || {}).some(name => name.toLowerCase() === PROFILE_HEADER);
+    if (usesProfile && !origin) {
+      logger.warn('Rejected credential profile request without an Origin header', null, requestId);
+      return res.status(403).json({ error: 'Credential profiles can only be used from the app', code: 'ORIGIN_REQUIRED' });
+    }
+    
+    // List the credential profiles (names and labels only) for the app's profile picker
+    if (req.body && req.body.action === 'profiles') {
+      return res.status(200).json({
+        profiles: getCredentialProfiles().list(),
+        profilesOnly: config.profilesOnly
+      });
+    }
+    
     // Get request data
     const { url, method, headers = {}, data = null, params = null } = req.body || {};
     
@@ -28,22 +250,46 @@ module.exports = async (req, res) => {
       return res.status(400).json({ error: 'URL is required' });
     }
     
-    // Detailed logging for debugging
-    console.log('==== REQUEST DETAILS ====');
-    console.log(`URL: ${url}`);
-    console.log(`Method: ${method || 'GET'}`);
-    console.log('Headers:', JSON.stringify(headers, null, 2));
-    console.log('Data:', typeof data === 'string' ? data : JSON.stringify(data, null, 2));
-    console.log('Params:', params ? JSON.stringify(params, null, 2) : 'none');
-    console.log('========================');
+    // Only forward to the DAP API and its download buckets
+    const rejection = checkTarget(url, method || 'GET', config.allowedTargets);
+    if (rejection) {
+      logger.warn(`Rejected proxy target: ${rejection}`, null, requestId);
+      return res.status(403).json({ error: rejection, code: 'TARGET_NOT_ALLOWED' });
+    }
+    
+    logger.debug('Request details', { url, method: method || 'GET', headers, data, params }, requestId);
     
     // Set correct Content-Type if it's a string and looks like form data
     let processedData = data;
     let processedHeaders = { ...headers };
     
-    // For debugging DAP job status
-    if (url.includes('/dap/job/')) {
-      console.log('DAP JOB STATUS REQUEST: ' + url);
+    // Log in with a credential profile held by the proxy instead of credentials from the browser
+    const profileName = takeHeader(processedHeaders, PROFILE_HEADER);
+    const profileKey = takeHeader(processedHeaders, PROFILE_KEY_HEADER);
+    const isLogin = new URL(url).pathname === LOGIN_PATH;
+    if (profileName) {
+      if (!isLogin) {
+        logger.warn(`Rejected use of credential profile ${profileName} outside the login`, null, requestId);
+        return res.status(403).json({ error: `Credential profiles can only be used for ${LOGIN_PATH}`, code: 'PROFILE_NOT_ALLOWED' });
+      }
+      const profiles = getCredentialProfiles();
+      const profile = profiles.get(profileName);
+      if (!profile) {
+        logger.warn(`Unknown credential profile: ${profileName}`, null, requestId);
+        return res.status(404).json({ error: `Unknown credential profile: ${profileName}`, code: 'UNKNOWN_PROFILE' });
+      }
+      if (!profiles.checkAccess(profileName, profileKey)) {
+        logger.warn(`Rejected login with credential profile ${profileName}: wrong or missing access key`, null, requestId);
+        return res.status(403).json({ error: `Wrong or missing access key for credential profile ${profileName}`, code: 'PROFILE_ACCESS_DENIED' });
+      }
+      Object.keys(processedHeaders)
+        .filter(name => name.toLowerCase() === 'authorization')
+        .forEach(name => delete processedHeaders[name]);
+      processedHeaders['Authorization'] = `Basic ${Buffer.from(`${profile.clientId}:${profile.clientSecret}`).toString('base64')}`;
+      logger.info(`Logging in with credential profile ${profileName}`, null, requestId);
+    } else if (isLogin && config.profilesOnly) {
+      logger.warn('Rejected login without a credential profile (DAP_PROXY_PROFILES_ONLY)', null, requestId);
+      return res.status(403).json({ error: 'This proxy only accepts logins with a credential profile', code: 'PROFILE_REQUIRED' });
     }
     
     if (typeof data === 'string' && data.includes('=') && !data.startsWith('{')) {
@@ -52,11 +298,7 @@ module.exports = async (req, res) => {
       }
     }
     
-    // Determine if this is a binary file download request (improved detection)
     const fileExtensions = ['.gz', '.csv', '.parquet', '.zip', '.json', '.jsonl', '.tsv', '.txt'];
-    const isBinaryDownload = fileExtensions.some(ext => url.includes(ext)) || 
-                             url.includes('/dap/object/url') || 
-                             url.includes('/dap/object/');
     
     // Check if this is a direct S3 download request (likely large file)
     const isS3FileDownload = url.includes('amazonaws.com') && 
@@ -65,7 +307,7 @@ module.exports = async (req, res) => {
     
     // For S3 direct downloads, we'll return a redirect instead of proxying the file
     if (isS3FileDownload) {
-      console.log('Detected S3 download URL, returning redirect instead of proxying');
+      logger.debug('Detected S3 download URL, returning redirect instead of proxying', null, requestId);
       return res.status(200).json({
         redirect: url,
         status: 302,
@@ -82,19 +324,20 @@ module.exports = async (req, res) => {
       method: method || 'GET',
       headers: processedHeaders,
       params: params,
-      httpsAgent: new (require('https').Agent)({
-        rejectUnauthorized: false
+      httpsAgent: new https.Agent({
+        rejectUnauthorized: config.verifyTls
       }),
-      maxRedirects: 5,
+      // Redirects are returned instead of followed, so they cannot lead off the allowlist
+      maxRedirects: 0,
       // Set a timeout of 5 minutes (300000ms)
       timeout: 300000,
       validateStatus: function (status) {
         return status < 500; // Accept all responses with status < 500
       },
-      // For binary data downloads
-      responseType: isBinaryDownload ? 'arraybuffer' : 'json',
-      // Enable to handle larger responses
-      maxContentLength: 100 * 1024 * 1024, // 100MB
+      // Read the body as it arrives and leave its Content-Encoding alone, so binary
+      // bodies can be passed on byte for byte; JSON and text are decoded by readBody()
+      responseType: 'stream',
+      decompress: false,
       maxBodyLength: 100 * 1024 * 1024 // 100MB
     };
     
@@ -110,12 +353,11 @@ module.exports = async (req, res) => {
             requestConfig.data = processedData;
           } catch (e) {
             // If parsing fails, assume it's not JSON and stringify the object
-            console.log('Warning: Invalid JSON string, converting to string');
+            logger.warn('Invalid JSON string body, sending it as a JSON string', null, requestId);
             requestConfig.data = JSON.stringify(processedData);
           }
         } else {
           // For objects, stringify them
-          console.log('Converting object to JSON string for API request');
           requestConfig.data = JSON.stringify(processedData);
         }
       } else {
@@ -124,192 +366,96 @@ module.exports = async (req, res) => {
       }
     }
     
-    console.log('Final request config data:', typeof requestConfig.data === 'string' ? 
-      requestConfig.data.substring(0, 200) + (requestConfig.data.length > 200 ? '...' : '') : 
-      requestConfig.data);
+    if (!config.verifyTls) {
+      logger.warn('TLS certificate verification is disabled (DAP_PROXY_INSECURE_TLS)', null, requestId);
+    }
     
-    console.log('Sending request to Canvas API...');
+    const target = new URL(url);
+    const started = Date.now();
     const response = await axios(requestConfig);
     
-    console.log(`Canvas API response status: ${response.status}`);
-    console.log('Canvas API response headers:', JSON.stringify(response.headers, null, 2));
+    logger.info(`${requestConfig.method} ${target.host}${target.pathname} -> ${response.status} (${Date.now() - started} ms)`, null, requestId);
+    logger.debug('Response headers', response.headers, requestId);
     
-    // Log job status responses for debugging
-    if (url.includes('/dap/job/')) {
-      console.log('DAP JOB STATUS RESPONSE:', 
-        typeof response.data === 'object' ? 
-        JSON.stringify(response.data, null, 2) : 'data is not an object');
-    }
-    
-    // Check content type specifically for JSON first
-    const isJsonResponse = 
-      response.headers['content-type']?.includes('application/json') ||
-      (typeof response.data === 'object' && !Buffer.isBuffer(response.data));
-      
-    // Improved binary response detection
-    const isBinaryResponse = 
-      response.headers['content-type']?.includes('application/octet-stream') ||
-      response.headers['content-type']?.includes('application/gzip') ||
-      response.headers['content-type']?.includes('application/zip') ||
-      response.headers['content-type']?.includes('application/x-gzip') ||
-      response.headers['content-type']?.includes('application/parquet') ||
-      isBinaryDownload ||
-      (response.data instanceof Buffer || response.data instanceof ArrayBuffer);
+    const contentType = response.headers['content-type'];
     
-    // Process JSON first - important for object URLs API which returns JSON but might be detected as binary
-    if (isJsonResponse && !isBinaryResponse) {
-      console.log('Processing as JSON response');
+    // Binary bodies are streamed through unchanged; the upstream status and headers go in response headers
+    if (!isTextContentType(contentType)) {
+      logger.debug(`Streaming ${contentType} response of ${response.headers['content-length'] || 'unknown'} bytes`, null, requestId);
       
-      // Ensure we have valid JSON
-      let jsonData = response.data;
-      
-      // Handle case where JSON is in a Buffer
-      if (Buffer.isBuffer(response.data)) {
-        try {
-          const jsonString = response.data.toString('utf8');
-          jsonData = JSON.parse(jsonString);
-          console.log('Successfully converted Buffer to JSON');
-        } catch (jsonError) {
-          console.error('Failed to convert Buffer to JSON:', jsonError);
+      res.status(200);
+      ['content-type', 'content-length', 'content-encoding'].forEach(name => {
+        if (response.headers[name] !== undefined) {
+          res.setHeader(name, response.headers[name]);
         }
-      }
-      
-      console.log('Canvas API response data:', typeof jsonData === 'object' ? 
-        JSON.stringify(jsonData, null, 2) : 'data is not an object');
-      
-      // Return the JSON response
-      return res.status(200).json({
-        data: jsonData,
-        status: response.status,
-        statusText: response.statusText,
-        headers: response.headers
       });
-    } 
-    // Process binary data
-    else if (isBinaryResponse) {
-      console.log('Received binary data response, returning as ArrayBuffer');
+      res.setHeader(UPSTREAM_STATUS_HEADER, String(response.status));
+      res.setHeader(UPSTREAM_STATUS_TEXT_HEADER, encodeURIComponent(response.statusText || ''));
+      res.setHeader(UPSTREAM_HEADERS_HEADER, encodeURIComponent(JSON.stringify(response.headers)));
       
-      try {
-        // For binary responses, convert to array of bytes
-        let buffer;
-        if (Buffer.isBuffer(response.data)) {
-          buffer = response.data;
-        } else if (response.data instanceof ArrayBuffer) {
-          buffer = Buffer.from(response.data);
-        } else if (typeof response.data === 'string') {
-          buffer = Buffer.from(response.data, 'utf8');
-        } else if (Array.isArray(response.data)) {
-          buffer = Buffer.from(response.data);
-        } else {
-          buffer = Buffer.from(response.data);
-        }
-        
-        // Special handling for URLs API - check if this looks like a JSON response
-        if (url.includes('/dap/object/url')) {
-          try {
-            // Try to parse as JSON first
-            const textContent = buffer.toString('utf8');
-            if (textContent.startsWith('{') && textContent.includes('"urls"')) {
-              console.log('URL response appears to be JSON, processing as JSON');
-              const jsonData = JSON.parse(textContent);
-              return res.status(200).json({
-                data: jsonData,
-                status: response.status,
-                statusText: response.statusText,
-                headers: response.headers
-              });
-            }
-          } catch (jsonParseError) {
-            console.log('Failed to parse URL response as JSON, continuing with binary handling');
-          }
-        }
-        
-        // Check if the response is too large for JSON
-        const responseSize = buffer.length;
-        console.log(`Binary response size: ${responseSize} bytes`);
-        
-        if (responseSize > 50 * 1024 * 1024) { // 50MB limit for JSON response
-          console.log('Warning: Binary response is very large, may exceed Vercel limits');
-        }
-        
-        // Return binary data as array of bytes for proper handling in client
-        return res.status(200).json({
-          data: [...new Uint8Array(buffer)], // Convert to array of numbers
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers,
-          isBinary: true
-        });
-      } catch (binaryError) {
-        console.error('Error processing binary data:', binaryError);
-        return res.status(500).json({
-          error: 'Failed to process binary response: ' + binaryError.message,
-          status: response.status,
-          statusText: response.statusText
-        });
-      }
-    } else {
-      // For all other responses
-      console.log('Canvas API response has unrecognized format, processing as text');
-      
-      try {
-        // Try to handle as string first
-        if (Buffer.isBuffer(response.data)) {
-          const textData = response.data.toString('utf8');
-          return res.status(200).json({
-            data: textData,
-            status: response.status,
-            statusText: response.statusText,
-            headers: response.headers
-          });
-        } else {
-          // Return as-is
-          return res.status(200).json({
-            data: response.data,
-            status: response.status,
-            statusText: response.statusText,
-            headers: response.headers
-          });
-        }
-      } catch (textError) {
-        console.error('Error processing response as text:', textError);
-        // Last resort - return raw data
-        return res.status(200).json({
-          data: response.data,
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers
-        });
-      }
+      await pipeline(response.data, res);
+      return;
     }
     
+    const responseData = decodeBody(await readBody(response.data, response.headers['content-encoding']), contentType);
+    logger.debug('Response data', responseData, requestId);
+    
+    return res.status(200).json({
+      data: responseData,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+    
   } catch (error) {
-    console.error('Proxy error:', error.message);
+    // Error bodies arrive as streams too
+    if (error.response?.data && typeof error.response.data.pipe === 'function') {
+      error.response.data = await readBody(error.response.data, error.response.headers?.['content-encoding'])
+        .then(buffer => decodeBody(buffer, error.response.headers?.['content-type']))
+        .catch(() => null);
+    }
+    
+    logger.error('Proxy error', {
+      message: error.message,
+      code: error.code,
+      url: error.config?.url,
+      method: error.config?.method,
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      data: error.response?.data,
+      headers: error.response?.headers
+    }, requestId);
+    
+    // A streamed body that failed midway cannot be turned into an error response
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
     
     // Handle axios timeout errors specifically
     if (error.code === 'ECONNABORTED') {
-      console.error('Request timed out after 5 minutes');
       return res.status(504).json({
         error: 'Request timed out after 5 minutes. The Canvas DAP API is taking too long to respond.',
         code: 'TIMEOUT'
       });
     }
     
-    if (error.response) {
-      console.error('Error response details:');
-      console.error(`Status: ${error.response.status}`);
-      console.error(`Status text: ${error.response.statusText}`);
-      console.error('Response data:', 
-        typeof error.response.data === 'object' ? 
-        JSON.stringify(error.response.data, null, 2) : 
-        'binary data');
-      console.error('Response headers:', error.response.headers);
+    // The API could not be reached (connection reset or refused, DNS failure); answer as a gateway
+    // with a numeric status so the client treats it like any other retryable upstream response
+    if (error.request && !error.response) {
+      const timedOut = error.code === 'ETIMEDOUT';
+      return res.status(timedOut ? 504 : 502).json({
+        error: error.message,
+        code: error.code || 'UPSTREAM_UNREACHABLE',
+        status: timedOut ? 504 : 502,
+        statusText: timedOut ? 'Gateway Timeout' : 'Bad Gateway',
+        data: { error: `Cannot reach the Canvas DAP API: ${error.message}` }
+      });
     }
     
-    if (error.request) {
-      console.error('Request details (failed):');
-      console.error('URL:', error.request._currentUrl);
-      console.error('Method:', error.request.method);
+    // Pass the upstream Retry-After on so the client can wait as long as the API asks
+    if (error.response?.headers?.['retry-after']) {
+      res.setHeader('Retry-After', error.response.headers['retry-after']);
     }
     
     return res.status(500).json({
@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+/**
+ * Canvas DAP command-line tool
+ *
+ * Runs the same DAPClient logic as the web app from Node.js (18 or later),
+ * talking to the DAP API directly instead of through the CORS proxy.
+ * Result parts are streamed to disk with FolderSaver, so file names,
+ * resuming and manifests match "Save all parts to a folder" in the app.
+ *
+ * Credentials come from the environment (DAP_CLIENT_ID, DAP_CLIENT_SECRET,
+ * DAP_API_URL) or a JSON config file (--config, DAP_WEB_CONFIG or
+ * ~/.dap-web.json); command-line options win over both.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { parseArgs } = require('util');
+
+const { DAPClient } = require('../dap_client.js');
+const { DirectTransport } = require('../dap_transport.js');
+const { FolderSaver } = require('../dap_folder.js');
+const { JobHistory } = require('../dap_job_history.js');
+const { CredentialProfiles } = require('../dap_profiles.js');
+
+const USAGE = `Usage: dap-web <command> [options]
+
+Commands:
+  list                         List the tables of a namespace
+  schema <table>               Print the schema of a table as JSON
+  snapshot <table>             Run a snapshot query and save its parts
+  incremental <table>          Run an incremental query and save its parts
+  jobs [job-id]                List recorded jobs, or show (and with --download save) one job
+  encrypt-profiles <file>      Encrypt a JSON file of proxy credential profiles with DAP_PROXY_PROFILES_KEY
+
+Options:
+  -n, --namespace <name>       Namespace (default: canvas)
+  -s, --scope <scope>          Scope to access
+  -f, --format <format>        Output format: jsonl, csv, tsv, parquet (default: jsonl)
+  -m, --mode <mode>            Output mode
+  -o, --output-dir <dir>       Directory to save parts into (default: current directory)
+      --output <file>          Write the schema or encrypted profiles to a file instead of stdout
+      --since <timestamp>      Start of an incremental query (default: until of the last saved job of the table)
+      --until <timestamp>      End of an incremental query
+      --table <table>          Table name used for the files of "jobs --download"
+      --download               Save the parts of the job given to "jobs"
+      --timeout <seconds>      Maximum time to wait for a job, 0 for no limit (default: 3600)
+      --json                   Print "list" and "jobs" output as JSON
+      --config <file>          JSON config file with baseUrl, clientId, clientSecret, namespace and scope
+      --client-id <id>         OAuth2 client ID
+      --client-secret <secret> OAuth2 client secret
+      --base-url <url>         DAP API URL (default: https://api-gateway.instructure.com)
+  -v, --verbose                Log every API request (same as DAP_LOG_LEVEL=debug; secrets are masked)
+  -h, --help                   Show this help
+`;
+
+const OPTIONS = {
+  namespace: { type: 'string', short: 'n' },
+  scope: { type: 'string', short: 's' },
+  format: { type: 'string', short: 'f', default: 'jsonl' },
+  mode: { type: 'string', short: 'm' },
+  'output-dir': { type: 'string', short: 'o', default: '.' },
+  output: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  table: { type: 'string' },
+  download: { type: 'boolean', default: false },
+  timeout: { type: 'string', default: '3600' },
+  json: { type: 'boolean', default: false },
+  config: { type: 'string' },
+  'client-id': { type: 'string' },
+  'client-secret': { type: 'string' },
+  'base-url': { type: 'string' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Directory on disk with the part of the FileSystemDirectoryHandle
+ * interface that FolderSaver uses
+ *
+ * Like the browser's writable file streams, a file is written to a
+ * temporary ".crdownload" file and only renamed into place when it is
+ * closed, so an interrupted download never looks like a saved part.
+ */
+class NodeDirectory {
+  /**
+   * @param {string} directory - Path of the directory
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Get a handle for a file in the directory
+   *
+   * @param {string} filename - The file name
+   * @param {Object} options - { create } to allow a file that does not exist yet
+   * @returns {Promise<Object>} - Handle with getFile() and createWritable()
+   * @throws {Error} - NotFoundError if the file does not exist and create is not set
+   */
+  async getFileHandle(filename, { create = false } = {}) {
+    const filePath = path.join(this.directory, filename);
+    if (!create && !fs.existsSync(filePath)) {
+      const error = new Error(`File not found: ${filePath}`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+
+    return {
+      getFile: async () => ({ size: (await fsp.stat(filePath)).size }),
+      createWritable: async () => {
+        const tempPath = `${filePath}.crdownload`;
+        const writer = Writable.toWeb(fs.createWriteStream(tempPath)).getWriter();
+        const stream = new WritableStream({
+          write: chunk => writer.write(typeof chunk === 'string' ? Buffer.from(chunk) : chunk),
+          close: async () => {
+            await writer.close();
+            await fsp.rename(tempPath, filePath);
+          },
+          abort: async reason => {
+            await writer.abort(reason).catch(() => {});
+            await fsp.rm(tempPath, { force: true });
+          }
+        });
+
+        // FolderSaver writes small files (the manifest) with a single write() call
+        stream.write = async content => {
+          const streamWriter = stream.getWriter();
+          try {
+            await streamWriter.write(content);
+          } finally {
+            streamWriter.releaseLock();
+          }
+        };
+        return stream;
+      }
+    };
+  }
+}
+
+/**
+ * localStorage-like storage kept in a JSON file, for JobHistory
+ */
+class FileStorage {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read every stored item
+   *
+   * @returns {Object} - Dictionary of keys and values (empty if the file does not exist yet)
+   */
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * @param {string} key - The item key
+   * @returns {string|null} - The stored value, or null if not set
+   */
+  getItem(key) {
+    return this.read()[key] ?? null;
+  }
+
+  /**
+   * @param {string} key - The item key
+   * @param {string} value - The value to store
+   */
+  setItem(key, value) {
+    const items = this.read();
+    items[key] = String(value);
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(items, null, 2));
+  }
+}
+
+/**
+ * Read the settings from the config file, the environment and the options
+ *
+ * @param {Object} options - The parsed command-line options
+ * @returns {Object} - Dictionary with baseUrl, clientId, clientSecret, namespace and scope
+ * @throws {Error} - If an explicitly given config file cannot be read
+ */
+function loadSettings(options) {
+  const configPath = options.config || process.env.DAP_WEB_CONFIG || path.join(os.homedir(), '.dap-web.json');
+  let config = {};
+  if (options.config || process.env.DAP_WEB_CONFIG || fs.existsSync(configPath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read config file ${configPath}: ${error.message}`);
+    }
+  }
+
+  return {
+    baseUrl: options['base-url'] || process.env.DAP_API_URL || config.baseUrl || "https://api-gateway.instructure.com",
+    clientId: options['client-id'] || process.env.DAP_CLIENT_ID || config.clientId || null,
+    clientSecret: options['client-secret'] || process.env.DAP_CLIENT_SECRET || config.clientSecret || null,
+    namespace: options.namespace || process.env.DAP_NAMESPACE || config.namespace || "canvas",
+    scope: options.scope || process.env.DAP_SCOPE || config.scope || null
+  };
+}
+
+/**
+ * Get the until timestamp of the last job of a table saved in a directory
+ *
+ * Incremental runs from cron continue where the previous run stopped, using
+ * the manifests FolderSaver wrote (the "at" time of a snapshot, or the
+ * "until" time of an incremental result).
+ *
+ * @param {string} directory - The output directory
+ * @param {string} table - The table name
+ * @returns {Promise<string|null>} - The latest timestamp, or null if no job of the table was saved
+ */
+async function findLastWatermark(directory, table) {
+  let filenames;
+  try {
+    filenames = await fsp.readdir(directory);
+  } catch (error) {
+    return null;
+  }
+
+  const pattern = new RegExp(`^${table.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(-\\d{8}T\\d{6}Z-\\d{8}T\\d{6}Z)?-manifest\\.json$`);
+  let latest = null;
+  for (const filename of filenames) {
+    if (!pattern.test(filename)) {
+      continue;
+    }
+    try {
+      const manifest = JSON.parse(await fsp.readFile(path.join(directory, filename), 'utf8'));
+      const watermark = manifest.table === table ? manifest.until || manifest.at : null;
+      if (watermark && (!latest || Date.parse(watermark) > Date.parse(latest))) {
+        latest = watermark;
+      }
+    } catch (error) {
+      console.error(`Skipping unreadable manifest ${filename}: ${error.message}`);
+    }
+  }
+  return latest;
+}
+
+/**
+ * Save the parts of a completed job and print the saved file paths
+ *
+ * @param {DAPClient} client - The DAP client
+ * @param {Object} jobInfo - Job information for a completed job
+ * @param {Object} details - The namespace, table, scope, query and fileFormat of the job
+ * @param {string} directory - The output directory
+ * @param {AbortSignal} signal - Signal to cancel the download
+ * @returns {Promise<Object>} - The manifest
+ */
+async function saveJob(client, jobInfo, details, directory, signal) {
+  await fsp.mkdir(directory, { recursive: true });
+  const saver = new FolderSaver(client, new NodeDirectory(directory));
+
+  const manifest = await saver.saveJob(jobInfo, details, (index, count, part) => {
+    if (part.status === "saved" || part.status === "skipped") {
+      console.error(`[${index + 1}/${count}] ${part.status} ${part.filename} (${part.bytes} bytes)`);
+    }
+  }, signal);
+
+  manifest.parts.forEach(part => console.log(path.join(directory, part.filename)));
+  return manifest;
+}
+
+/**
+ * Run a snapshot or incremental query and save its parts
+ *
+ * @param {DAPClient} client - The DAP client
+ * @param {Object} settings - The settings from loadSettings
+ * @param {Object} options - The parsed command-line options
+ * @param {string} table - The table name
+ * @param {boolean} incremental - Whether to run an incremental query
+ * @param {AbortSignal} signal - Signal to cancel the query
+ * @returns {Promise<Object>} - The manifest
+ */
+async function runQuery(client, settings, options, table, incremental, signal) {
+  const directory = options['output-dir'];
+  let query;
+
+  if (incremental) {
+    const since = options.since || await findLastWatermark(directory, table);
+    if (!since) {
+      throw new Error(`No --since given and no saved job of '${table}' found in ${directory}`);
+    }
+    query = client.createIncrementalQuery(options.format, since, options.until || null, options.mode || null);
+    console.error(`Querying changes to ${settings.namespace}.${table} since ${query.since}${query.until ? ` until ${query.until}` : ''}`);
+  } else {
+    query = client.createSnapshotQuery(options.format, options.mode || null);
+    console.error(`Querying a snapshot of ${settings.namespace}.${table}`);
+  }
+
+  const jobInfo = await client.getTableData(settings.namespace, table, query, settings.scope, signal);
+  return await saveJob(client, jobInfo, {
+    namespace: settings.namespace,
+    table,
+    scope: settings.scope,
+    query,
+    fileFormat: options.format
+  }, directory, signal);
+}
+
+/**
+ * Encrypt a JSON file of credential profiles for the proxy
+ *
+ * The file maps profile names to { clientId, clientSecret, accessKey, label }. The
+ * result is what DAP_PROXY_PROFILES_FILE points to; the passphrase is read
+ * from DAP_PROXY_PROFILES_KEY so it does not end up in the shell history.
+ *
+ * @param {string} file - Path of the plain JSON profiles
+ * @param {string|null} output - Path to write the encrypted profiles to, or null for stdout
+ * @returns {Promise<number>} - The exit code
+ */
+async function encryptProfiles(file, output = null) {
+  if (!file) {
+    console.error(`The encrypt-profiles command needs a profiles file\n\n${USAGE}`);
+    return 2;
+  }
+  if (!process.env.DAP_PROXY_PROFILES_KEY) {
+    console.error("Set DAP_PROXY_PROFILES_KEY to the passphrase the proxy will decrypt the profiles with");
+    return 2;
+  }
+
+  const profiles = JSON.parse(await fsp.readFile(file, 'utf8'));
+  const encrypted = CredentialProfiles.encrypt(profiles, process.env.DAP_PROXY_PROFILES_KEY);
+  if (output) {
+    await fsp.writeFile(output, encrypted + '\n', { mode: 0o600 });
+    console.error(`Saved ${Object.keys(profiles).length} encrypted credential profiles to ${output}`);
+  } else {
+    console.log(encrypted);
+  }
+  return 0;
+}
+
+/**
+ * Run the command given on the command line
+ *
+ * @param {Array<string>} argv - The command-line arguments (without node and the script)
+ * @returns {Promise<number>} - The exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values: options, positionals } = parsed;
+  const [command, argument] = positionals;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (!["list", "schema", "snapshot", "incremental", "jobs", "encrypt-profiles"].includes(command)) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+  if (["schema", "snapshot", "incremental"].includes(command) && !argument) {
+    console.error(`The ${command} command needs a table name\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (command === "encrypt-profiles") {
+    return await encryptProfiles(argument, options.output);
+  }
+
+  const settings = loadSettings(options);
+  const client = new DAPClient(settings.baseUrl, settings.clientId, settings.clientSecret, null, new DirectTransport());
+  if (options.verbose) {
+    client.logger.setLevel('debug');
+  }
+  // Keep stdout for results; log lines go to stderr
+  client.logger.output = { log: console.error, warn: console.warn, error: console.error };
+  client.polling.timeout = Number(options.timeout);
+
+  const history = new JobHistory("dap-job-history", 200, new FileStorage(path.join(os.homedir(), '.dap-web', 'jobs.json')));
+  client.onJobSubmitted = (jobInfo, details) => history.add(jobInfo, details);
+  client.onJobStatus = (status, elapsed, jobInfo) => {
+    history.update(jobInfo.id, jobInfo);
+    console.error(`Job ${jobInfo.id}: ${status} (${Math.round(elapsed)}s)`);
+  };
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  const signal = controller.signal;
+
+  if (command === "jobs" && !argument) {
+    const entries = history.list();
+    if (options.json) {
+      console.log(JSON.stringify(entries, null, 2));
+    } else {
+      entries.forEach(entry => {
+        console.log([entry.id, entry.status, `${entry.namespace || ''}.${entry.table || ''}`, entry.startedAt].join('\t'));
+      });
+    }
+    return 0;
+  }
+
+  if (!settings.clientId || !settings.clientSecret) {
+    console.error("Client ID and Client Secret are required (set DAP_CLIENT_ID and DAP_CLIENT_SECRET, or use a config file)");
+    return 2;
+  }
+
+  switch (command) {
+    case "list": {
+      const tables = await client.getTables(settings.namespace, settings.scope, signal);
+      console.log(options.json ? JSON.stringify(tables, null, 2) : tables.join('\n'));
+      break;
+    }
+    case "schema": {
+      const schema = JSON.stringify(await client.getTableSchema(settings.namespace, argument, settings.scope, signal), null, 2);
+      if (options.output) {
+        await fsp.writeFile(options.output, schema + '\n');
+        console.error(`Saved schema of ${settings.namespace}.${argument} to ${options.output}`);
+      } else {
+        console.log(schema);
+      }
+      break;
+    }
+    case "snapshot":
+    case "incremental":
+      await runQuery(client, settings, options, argument, command === "incremental", signal);
+      break;
+    case "jobs": {
+      const entry = history.get(argument);
+      const jobInfo = await client.getJobStatus(argument, signal);
+      history.update(argument, jobInfo);
+      if (!options.download) {
+        console.log(JSON.stringify(jobInfo, null, 2));
+        break;
+      }
+
+      const completed = await client.resolveCompletedJob(jobInfo, signal);
+      const table = options.table || (entry && entry.table) || argument;
+      await saveJob(client, completed, {
+        namespace: (entry && entry.namespace) || settings.namespace,
+        table,
+        scope: (entry && entry.scope) || settings.scope,
+        query: entry ? entry.query : null,
+        fileFormat: (entry && entry.query && entry.query.format) || options.format
+      }, options['output-dir'], signal);
+      break;
+    }
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    if (error && error.name === 'AbortError') {
+      console.error("Cancelled");
+      process.exitCode = 130;
+    } else {
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+  });
+}
+
+module.exports = { NodeDirectory, FileStorage, loadSettings, findLastWatermark, main };
@@ -0,0 +1,163 @@
+/**
+ * Canvas DAP Batch Runner
+ *
+ * This module runs one task per table (usually a DAPClient.getTableData job)
+ * through a queue with a configurable number of concurrent workers. Failures
+ * are collected per table instead of aborting the batch, and the results can
+ * be exported as a summary report.
+ */
+
+class BatchRunner {
+  /**
+   * Initialize the batch runner
+   *
+   * @param {number} concurrency - Maximum number of tasks running at the same time
+   */
+  constructor(concurrency = 2) {
+    this.concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+  }
+
+  /**
+   * Run a worker for every item, at most `concurrency` at a time
+   *
+   * The worker receives the item and a `report(message)` function for
+   * progress messages, and may return extra result fields (jobId,
+   * objectCount, bytes, ...). A worker that throws marks only its own item as
+   * failed.
+   *
+   * @param {Array<Object>} items - Items to process, each with at least a `table`
+   * @param {Function} worker - Async function (item, report) => Object
+   * @param {Function|null} onProgress - Called as (index, item, state) whenever an item changes state (optional)
+   * @param {AbortSignal|null} signal - Signal to stop starting queued items (optional)
+   * @returns {Promise<Array<Object>>} - One result per item, in the order of the items
+   */
+  async run(items, worker, onProgress = null, signal = null) {
+    const results = new Array(items.length);
+    const notify = (index, state) => {
+      if (onProgress) {
+        try {
+          onProgress(index, items[index], state);
+        } catch (error) {
+          console.error("Batch progress callback failed:", error);
+        }
+      }
+    };
+
+    items.forEach((item, index) => notify(index, { status: "queued", message: "Queued" }));
+
+    let nextIndex = 0;
+    const runWorker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        const item = items[index];
+        const startTime = Date.now();
+
+        // Items still queued when the batch is cancelled are never started
+        if (signal && signal.aborted) {
+          results[index] = {
+            table: item.table,
+            status: "failed",
+            jobId: null,
+            objectCount: null,
+            bytes: null,
+            error: "Cancelled",
+            durationMs: 0
+          };
+          notify(index, { status: "failed", message: "Cancelled", durationMs: 0 });
+          continue;
+        }
+
+        notify(index, { status: "running", message: "Starting..." });
+        const report = message => notify(index, { status: "running", message, durationMs: Date.now() - startTime });
+
+        try {
+          const output = await worker(item, report) || {};
+          results[index] = {
+            table: item.table,
+            status: "complete",
+            jobId: null,
+            objectCount: null,
+            bytes: null,
+            error: null,
+            ...output,
+            durationMs: Date.now() - startTime
+          };
+          notify(index, { status: "complete", message: "Complete", durationMs: results[index].durationMs });
+        } catch (error) {
+          results[index] = {
+            table: item.table,
+            status: "failed",
+            jobId: error.jobId || null,
+            objectCount: null,
+            bytes: null,
+            error: error.name === 'AbortError' ? "Cancelled" : error.message,
+            durationMs: Date.now() - startTime
+          };
+          notify(index, { status: "failed", message: results[index].error, durationMs: results[index].durationMs });
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, items.length); i++) {
+      workers.push(runWorker());
+    }
+    await Promise.all(workers);
+
+    return results;
+  }
+
+  /**
+   * Summarize the results of a batch
+   *
+   * @param {Array<Object>} results - Results returned by run()
+   * @returns {Object} - Counts of tables, successes and failures, plus total objects and bytes
+   */
+  static summarize(results) {
+    return results.reduce((summary, result) => {
+      summary.tables++;
+      if (result.status === "complete") {
+        summary.succeeded++;
+      } else {
+        summary.failed++;
+      }
+      summary.objects += result.objectCount || 0;
+      summary.bytes += result.bytes || 0;
+      return summary;
+    }, { tables: 0, succeeded: 0, failed: 0, objects: 0, bytes: 0 });
+  }
+
+  /**
+   * Export batch results as a CSV summary report
+   *
+   * @param {Array<Object>} results - Results returned by run()
+   * @returns {string} - CSV with table, status, job ID, object count, bytes, duration and error columns
+   */
+  static toCSV(results) {
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [["table", "status", "job_id", "object_count", "bytes", "duration_seconds", "error"].join(',')];
+    for (const result of results) {
+      lines.push([
+        result.table,
+        result.status,
+        result.jobId,
+        result.objectCount,
+        result.bytes,
+        ((result.durationMs || 0) / 1000).toFixed(1),
+        result.error
+      ].map(escape).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Export the runner for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { BatchRunner };
+} else {
+  window.BatchRunner = BatchRunner;
+}
@@ -5,6 +5,16 @@
  * It allows for authentication, querying table data, and downloading result files.
  */
 
+const clientProxyTransport = typeof window !== 'undefined' && window.ProxyTransport ?
+  window.ProxyTransport :
+  require('./dap_transport.js').ProxyTransport;
+const clientDirectTransport = typeof window !== 'undefined' && window.DirectTransport ?
+  window.DirectTransport :
+  require('./dap_transport.js').DirectTransport;
+const clientLogger = typeof window !== 'undefined' && window.DAPLogger ?
+  window.DAPLogger :
+  require('./dap_log.js').DAPLogger;
+
 class DAPClient {
   /**
    * Initialize the DAP client
@@ -12,115 +22,525 @@ class DAPClient {
    * @param {string} baseUrl - Base URL for the DAP API
    * @param {string} clientId - OAuth2 client ID
    * @param {string} clientSecret - OAuth2 client secret
-   * @param {string} proxyUrl - URL for the CORS proxy (optional)
+   * @param {string|null} proxyUrl - URL for the CORS proxy, or null to call the API directly (optional)
+   * @param {DAPTransport|null} transport - Transport for the requests, overriding proxyUrl (optional)
+   * @param {string|null} logLevel - Log level: error, warn, info, debug or silent (defaults to DAP_LOG_LEVEL / the "dap-log-level" local storage item, else warn)
    */
-  constructor(baseUrl = "https://api-gateway.instructure.com", clientId = null, clientSecret = null, proxyUrl = "/api/proxy") {
+  constructor(baseUrl = "https://api-gateway.instructure.com", clientId = null, clientSecret = null, proxyUrl = "/api/proxy", transport = null, logLevel = null) {
     this.baseUrl = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
     this.clientId = clientId;
     this.clientSecret = clientSecret;
     this.proxyUrl = proxyUrl;
+    this.transport = transport || (proxyUrl ? new clientProxyTransport(proxyUrl) : new clientDirectTransport());
     this.accessToken = null;
     this.tokenExpiry = null;
     
-    // Debug flag
-    this.debug = true;
+    // Token lifecycle: a token is renewed refreshMargin seconds before it expires (at most
+    // half its lifetime early), so requests and long job polls never send an expired one
+    this.auth = {
+      refreshMargin: 60
+    };
+    this.authState = "signed-out";
+    this.tokenRefreshAt = null;
+    this.tokenCredentials = null;
+    this.authPromise = null;
+    
+    // Name of a credential profile held by the proxy; when set, the proxy logs in with it
+    // and the client ID and secret are not used (see setProfile)
+    this.profile = null;
+    this.profileKey = null;
+    
+    // Optional callback (state, { tokenExpiry, error }) run when the authentication state changes;
+    // the state is "authenticating", "refreshing", "authenticated", "failed" or "signed-out"
+    this.onAuthStateChange = null;
+    
+    // Optional callback (jobInfo, { namespace, table, query, scope }) run for every submitted job
+    this.onJobSubmitted = null;
+    
+    // Optional callback (status, elapsedSeconds, jobInfo) run after every job status check
+    this.onJobStatus = null;
+    
+    // Retries for transient failures (429/5xx responses and network errors), delays in seconds.
+    // Only idempotent calls are retried; query submissions only when retryQueries is enabled.
+    this.retry = {
+      maxRetries: 3,
+      baseDelay: 1,
+      maxDelay: 30,
+      maxRetryAfter: 120,
+      statuses: [429, 502, 503, 504],
+      retryQueries: false
+    };
+    
+    // Job polling: intervals in seconds, timeout in seconds (0 waits without a time limit)
+    this.polling = {
+      initialInterval: 1,
+      backoffFactor: 1.5,
+      maxInterval: 30,
+      jitter: 0.2,
+      timeout: 300
+    };
+    
+    // Leveled logging; credentials, tokens and S3 signatures are always masked
+    this.logger = new clientLogger("DAP Client", logLevel);
   }
 
   /**
-   * Log debug information if debug mode is enabled
+   * Log debug information (written when the log level is debug)
    * 
    * @param {string} message - The message to log
    * @param {*} data - Optional data to log
    */
   log(message, data = null) {
-    if (this.debug) {
-      if (data) {
-        console.log(`[DAP Client] ${message}`, data);
-      } else {
-        console.log(`[DAP Client] ${message}`);
+    this.logger.debug(message, data);
+  }
+
+  /**
+   * Create the error thrown when an operation is cancelled
+   * 
+   * @returns {Error} - An error named "AbortError", like the one fetch throws
+   */
+  createAbortError() {
+    if (typeof DOMException !== 'undefined') {
+      return new DOMException('The operation was aborted', 'AbortError');
+    }
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Check whether an error was caused by cancelling an operation
+   * 
+   * @param {Error} error - The error to check
+   * @returns {boolean} - True if the operation was aborted
+   */
+  isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  /**
+   * Throw an AbortError if the signal has been aborted
+   * 
+   * @param {AbortSignal|null} signal - Signal to check (optional)
+   * @throws {Error} - If the signal has been aborted
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw this.createAbortError();
+    }
+  }
+
+  /**
+   * Wait for a number of milliseconds, stopping early if the signal is aborted
+   * 
+   * @param {number} ms - Time to wait in milliseconds
+   * @param {AbortSignal|null} signal - Signal to cancel the wait (optional)
+   * @returns {Promise<void>}
+   * @throws {Error} - If the signal is aborted before the time is up
+   */
+  delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+      
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
       }
+    });
+  }
+
+  /**
+   * Wait for a promise, stopping early if the signal is aborted
+   * 
+   * The operation behind the promise keeps running; only the wait ends.
+   * 
+   * @param {Promise} promise - The promise to wait for
+   * @param {AbortSignal|null} signal - Signal to cancel the wait (optional)
+   * @returns {Promise<*>} - The result of the promise
+   * @throws {Error} - The error of the promise, or an AbortError if the signal is aborted first
+   */
+  abortable(promise, signal = null) {
+    if (!signal) {
+      return promise;
     }
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+      
+      const onAbort = () => reject(this.createAbortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
   }
 
   /**
-   * Make a request through the proxy
+   * Make a request with the client's transport (through the proxy or directly)
    * 
    * @param {string} url - The target URL
    * @param {string} method - HTTP method (GET, POST, etc.)
    * @param {Object} headers - HTTP headers
    * @param {Object|string} data - Request body data
    * @param {Object} params - URL query parameters
-   * @returns {Promise<Object>} - Response data
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
+   * @param {string} responseType - How binary bodies are returned: "arraybuffer" or "stream" (a ReadableStream)
+   * @returns {Promise<Object>} - Response envelope with data, status, statusText and headers
+   * @throws {Error} - If no response is received; the error carries the requestId shown in the logs
    */
-  async makeProxyRequest(url, method = 'GET', headers = {}, data = null, params = null) {
+  async makeRequest(url, method = 'GET', headers = {}, data = null, params = null, signal = null, responseType = 'arraybuffer') {
+    // Sent to the proxy as X-Request-ID, so its log lines can be matched with these
+    const requestId = clientLogger.createRequestId();
+    const started = Date.now();
+    
     try {
-      this.log(`Making ${method} request to ${url}`);
+      this.logger.debug(`${method} ${url}`, { headers, data, params }, requestId);
       
-      // Create the request payload
-      const payload = {
+      const response = await this.transport.request(url, method, headers, data, params, signal, requestId, responseType);
+      this.logger.info(`${method} ${url.split('?')[0]} -> ${response.status} (${Date.now() - started} ms)`, null, requestId);
+      this.logger.debug('Response:', response, requestId);
+      
+      return response;
+    } catch (error) {
+      error.requestId = error.requestId || requestId;
+      if (!this.isAbortError(error)) {
+        this.logger.error(`${method} ${url.split('?')[0]} failed`, error, requestId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a header from a fetch Headers object or a plain header dictionary
+   * 
+   * @param {Headers|Object|null} headers - The headers
+   * @param {string} name - The header name
+   * @returns {string|null} - The header value, or null if not present
+   */
+  getHeader(headers, name) {
+    if (!headers) {
+      return null;
+    }
+    if (typeof headers.get === 'function') {
+      return headers.get(name);
+    }
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : null;
+  }
+
+  /**
+   * Check whether an error is a transient failure worth retrying
+   * 
+   * @param {Error} error - The error thrown by a request
+   * @returns {boolean} - True for network errors and retryable proxy statuses
+   */
+  isTransientError(error) {
+    if (!error || this.isAbortError(error)) {
+      return false;
+    }
+    // fetch rejects with a TypeError when the network request itself fails
+    if (error instanceof TypeError) {
+      return true;
+    }
+    return this.retry.statuses.includes(error.status);
+  }
+
+  /**
+   * Get the time to wait before retrying a request
+   * 
+   * A Retry-After header (seconds or HTTP date) is honored, up to
+   * retry.maxRetryAfter; otherwise the delay grows exponentially with jitter.
+   * 
+   * @param {number} attempt - Number of retries made so far (starting at 0)
+   * @param {string|null} retryAfter - Value of the Retry-After header (optional)
+   * @returns {number} - Time to wait in milliseconds
+   */
+  getRetryDelay(attempt, retryAfter = null) {
+    if (retryAfter) {
+      const seconds = /^\d+$/.test(String(retryAfter).trim()) ?
+        parseInt(retryAfter, 10) :
+        (new Date(retryAfter).getTime() - Date.now()) / 1000;
+      if (!isNaN(seconds)) {
+        return Math.min(Math.max(seconds, 0), this.retry.maxRetryAfter) * 1000;
+      }
+    }
+    
+    const delay = Math.min(this.retry.maxDelay, this.retry.baseDelay * Math.pow(2, attempt));
+    return (delay / 2 + Math.random() * delay / 2) * 1000;
+  }
+
+  /**
+   * Run a request, retrying transient failures with backoff
+   * 
+   * The operation may either throw or resolve to a response with a retryable
+   * `status` (a transport envelope or a fetch Response).
+   * 
+   * @param {Function} operation - Async function performing the request
+   * @param {boolean} idempotent - Whether the request is safe to repeat
+   * @param {AbortSignal|null} signal - Signal to cancel the request and retry waits (optional)
+   * @returns {Promise<Object>} - The response of the last attempt
+   * @throws {Error} - The error of the last attempt
+   */
+  async withRetry(operation, idempotent = true, signal = null) {
+    const maxRetries = idempotent ? this.retry.maxRetries : 0;
+    
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await operation();
+      } catch (error) {
+        if (attempt >= maxRetries || !this.isTransientError(error)) {
+          throw error;
+        }
+        const delay = this.getRetryDelay(attempt, error.retryAfter);
+        this.logger.warn(`Request failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${maxRetries})`);
+        await this.delay(delay, signal);
+        continue;
+      }
+      
+      if (attempt < maxRetries && response && this.retry.statuses.includes(response.status)) {
+        const delay = this.getRetryDelay(attempt, this.getHeader(response.headers, 'Retry-After'));
+        this.logger.warn(`Received ${response.status}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${maxRetries})`);
+        await this.delay(delay, signal);
+        continue;
+      }
+      
+      return response;
+    }
+  }
+
+  /**
+   * Make an authenticated DAP API request
+   * 
+   * Adds the bearer token (refreshed first when it is about to expire),
+   * retries transient failures of idempotent requests and re-authenticates
+   * once if the API answers 401.
+   * 
+   * @param {string} url - The target URL
+   * @param {string} method - HTTP method (GET, POST, etc.)
+   * @param {Object} options - Request options
+   * @param {Object} options.headers - Additional HTTP headers
+   * @param {Object|string} options.data - Request body data
+   * @param {Object} options.params - URL query parameters
+   * @param {AbortSignal|null} options.signal - Signal to cancel the request (optional)
+   * @param {boolean} options.idempotent - Whether the request may be retried (default: true for GET)
+   * @returns {Promise<Object>} - Response data
+   */
+  async apiRequest(url, method = 'GET', { headers = {}, data = null, params = null, signal = null, idempotent = method === 'GET' } = {}) {
+    let reauthenticated = false;
+    
+    for (;;) {
+      const token = await this.ensureAuthenticated(signal);
+      
+      const response = await this.withRetry(() => this.makeRequest(
         url,
         method,
-        headers,
+        { ...headers, 'Authorization': `Bearer ${token}` },
         data,
-        params
-      };
+        params,
+        signal
+      ), idempotent, signal);
       
-      this.log('Request payload:', payload);
+      if (response.status === 401 && !reauthenticated) {
+        // The token was rejected (e.g. revoked or expired early), so get a new one and try once more
+        this.log(`Received 401 for ${url}, re-authenticating`);
+        reauthenticated = true;
+        // Concurrent requests may have replaced the token already; only a rejected token is renewed
+        if (this.accessToken === token) {
+          this.tokenRefreshAt = null;
+        }
+        continue;
+      }
       
-      const response = await fetch(this.proxyUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
+      return response;
+    }
+  }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Proxy request failed: ${response.status} - ${errorText}`);
+  /**
+   * Change the authentication state and notify onAuthStateChange
+   * 
+   * @param {string} state - "authenticating", "refreshing", "authenticated", "failed" or "signed-out"
+   * @param {Error|null} error - The error of a failed authentication (optional)
+   */
+  setAuthState(state, error = null) {
+    this.authState = state;
+    if (typeof this.onAuthStateChange === 'function') {
+      try {
+        this.onAuthStateChange(state, { tokenExpiry: this.tokenExpiry, error });
+      } catch (listenerError) {
+        this.logger.error("Auth state callback failed:", listenerError);
       }
+    }
+  }
 
-      const responseData = await response.json();
-      this.log('Response data:', responseData);
-      
-      return responseData;
-    } catch (error) {
-      console.error("Proxy request error:", error);
-      throw error;
+  /**
+   * Set the client credentials, dropping the token if they changed
+   * 
+   * @param {string} clientId - OAuth2 client ID
+   * @param {string} clientSecret - OAuth2 client secret
+   */
+  setCredentials(clientId, clientSecret) {
+    if (clientId === this.clientId && clientSecret === this.clientSecret) {
+      return;
+    }
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.clearToken();
+  }
+
+  /**
+   * Log in with a credential profile held by the proxy instead of a client ID and secret
+   * 
+   * The browser then only sends the profile name and its access key; the
+   * proxy checks the key and adds the credentials to the login request.
+   * Changing the profile or key drops the token.
+   * 
+   * @param {string|null} profile - The profile name, or null to use clientId and clientSecret
+   * @param {string|null} accessKey - The access key of the profile
+   */
+  setProfile(profile, accessKey = null) {
+    profile = profile || null;
+    accessKey = (profile && accessKey) || null;
+    if (profile === this.profile && accessKey === this.profileKey) {
+      return;
+    }
+    this.profile = profile;
+    this.profileKey = accessKey;
+    this.clearToken();
+  }
+
+  /**
+   * Get the credential profiles the proxy offers
+   * 
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
+   * @returns {Promise<Object>} - Dictionary with the profiles (list of { name, label }) and whether the proxy
+   *   only accepts profile logins (profilesOnly); empty when the transport has no proxy
+   * @throws {Error} - If the proxy cannot be reached or fails
+   */
+  async getProfiles(signal = null) {
+    if (typeof this.transport.listProfiles !== 'function') {
+      return { profiles: [], profilesOnly: false };
+    }
+    return await this.transport.listProfiles(signal);
+  }
+
+  /**
+   * Get the key identifying the credentials a token is requested with
+   * 
+   * @returns {string|null} - The profile or client ID the token belongs to
+   */
+  getCredentialKey() {
+    return this.profile ? `profile:${this.profile}` : this.clientId;
+  }
+
+  /**
+   * Forget the access token
+   */
+  clearToken() {
+    const hadToken = this.accessToken !== null;
+    this.accessToken = null;
+    this.tokenExpiry = null;
+    this.tokenRefreshAt = null;
+    this.tokenCredentials = null;
+    if (hadToken || this.authState !== "signed-out") {
+      this.setAuthState("signed-out");
+    }
+  }
+
+  /**
+   * Get the time left before the access token expires
+   * 
+   * @returns {number|null} - Seconds until expiry (0 once expired), or null without a token
+   */
+  getTokenTimeRemaining() {
+    if (!this.accessToken || !this.tokenExpiry) {
+      return null;
     }
+    return Math.max(0, (this.tokenExpiry.getTime() - Date.now()) / 1000);
+  }
+
+  /**
+   * Check whether the access token can still be used without refreshing it
+   * 
+   * @returns {boolean} - True if there is a token for the current credentials that is not due for refresh
+   */
+  hasFreshToken() {
+    return !!this.accessToken &&
+      this.tokenCredentials === this.getCredentialKey() &&
+      this.tokenRefreshAt !== null &&
+      Date.now() < this.tokenRefreshAt.getTime();
   }
 
   /**
    * Authenticate with the DAP API using OAuth2 client credentials flow
    * 
+   * A new token is always requested. Concurrent calls share one login
+   * request; cancelling the signal stops waiting for it but does not abort
+   * it, as other callers may still need the token.
+   * 
+   * @param {AbortSignal|null} signal - Signal to cancel the wait (optional)
    * @returns {Promise<string>} - The access token
    * @throws {Error} - If authentication fails
    */
-  async authenticate() {
-    if (!this.clientId || !this.clientSecret) {
+  async authenticate(signal = null) {
+    this.throwIfAborted(signal);
+    if (!this.authPromise) {
+      this.authPromise = this.requestToken().finally(() => {
+        this.authPromise = null;
+      });
+    }
+    return await this.abortable(this.authPromise, signal);
+  }
+
+  /**
+   * Request a new access token
+   * 
+   * @returns {Promise<string>} - The access token
+   * @throws {Error} - If authentication fails
+   */
+  async requestToken() {
+    if (this.profile && this.transport instanceof clientDirectTransport) {
+      throw new Error("Credential profiles can only be used through the proxy");
+    }
+    if (this.profile && !this.profileKey) {
+      throw new Error(`The access key of credential profile ${this.profile} is required`);
+    }
+    if (!this.profile && (!this.clientId || !this.clientSecret)) {
       throw new Error("Client ID and Client Secret are required");
     }
 
     // Use the correct Canvas DAP OAuth token endpoint from the documentation
     const authUrl = `${this.baseUrl}/ids/auth/login`;
+    const credentialKey = this.getCredentialKey();
+    
+    // With a profile the proxy adds the credentials; otherwise send them as basic auth
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (this.profile) {
+      headers['X-DAP-Profile'] = this.profile;
+      headers['X-DAP-Profile-Key'] = this.profileKey;
+    } else {
+      headers['Authorization'] = `Basic ${btoa(`${this.clientId}:${this.clientSecret}`)}`;
+    }
     
-    // Create basic auth credentials
-    const authStr = `${this.clientId}:${this.clientSecret}`;
-    const authBase64 = btoa(authStr);
+    this.setAuthState(this.accessToken ? "refreshing" : "authenticating");
     
     try {
-      this.log('Authenticating with Canvas DAP API');
-      
-      // Use the proxy for authentication
-      const response = await this.makeProxyRequest(
-        authUrl, 
-        'POST',
-        {
-          'Authorization': `Basic ${authBase64}`,
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        'grant_type=client_credentials'
-      );
+      this.log(this.profile ? `Authenticating with Canvas DAP API using profile ${this.profile}` : 'Authenticating with Canvas DAP API');
+      
+      const response = await this.makeRequest(authUrl, 'POST', headers, 'grant_type=client_credentials');
 
       if (response.status !== 200) {
         throw new Error(`Authentication failed: ${response.status} - ${response.statusText}`);
@@ -128,34 +548,47 @@ class DAPClient {
 
       const tokenData = response.data;
       this.accessToken = tokenData.access_token;
+      this.tokenCredentials = credentialKey;
       
       // Set token expiry based on expires_in (defaults to 1 hour)
       const expiresIn = tokenData.expires_in || 3600;
       this.tokenExpiry = new Date(Date.now() + expiresIn * 1000);
+      this.tokenRefreshAt = new Date(this.tokenExpiry.getTime() - Math.min(this.auth.refreshMargin, expiresIn / 2) * 1000);
       
       this.log('Successfully authenticated with Canvas DAP API', {
         expiresIn,
         tokenExpiry: this.tokenExpiry
       });
       
+      this.setAuthState("authenticated");
       return this.accessToken;
     } catch (error) {
-      console.error("Authentication error:", error);
-      throw new Error(`Authentication failed: ${error.message}`);
+      this.accessToken = null;
+      this.tokenExpiry = null;
+      this.tokenRefreshAt = null;
+      this.tokenCredentials = null;
+      this.logger.error("Authentication error:", error);
+      
+      const authError = new Error(error.message.startsWith('Authentication failed') ? error.message : `Authentication failed: ${error.message}`);
+      this.setAuthState("failed", authError);
+      throw authError;
     }
   }
 
   /**
-   * Ensure the client is authenticated, refreshing token if needed
+   * Ensure the client is authenticated, refreshing the token shortly before it expires
    * 
+   * @param {AbortSignal|null} signal - Signal to cancel the wait (optional)
    * @returns {Promise<string>} - The access token
    */
-  async ensureAuthenticated() {
-    // Check if token exists and is still valid
-    if (!this.accessToken || !this.tokenExpiry || new Date() >= this.tokenExpiry) {
-      return await this.authenticate();
+  async ensureAuthenticated(signal = null) {
+    if (this.hasFreshToken()) {
+      return this.accessToken;
     }
-    return this.accessToken;
+    if (this.accessToken) {
+      this.log('Access token is about to expire or was rejected, refreshing it');
+    }
+    return await this.authenticate(signal);
   }
 
   /**
@@ -163,26 +596,21 @@ class DAPClient {
    * 
    * @param {string} namespace - The namespace (default: "canvas")
    * @param {string|null} scope - The scope to access (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
    * @returns {Promise<Array<string>>} - List of table names
    * @throws {Error} - If the query fails
    */
-  async getTables(namespace = "canvas", scope = null) {
-    await this.ensureAuthenticated();
-    
+  async getTables(namespace = "canvas", scope = null, signal = null) {
     const url = `${this.baseUrl}/dap/query/${namespace}/table`;
     this.log(`Getting tables for namespace: ${namespace}`);
     
-    const headers = {
-      'Authorization': `Bearer ${this.accessToken}`
-    };
-    
     const params = {};
     if (scope) {
       params.scope = scope;
     }
     
     try {
-      const response = await this.makeProxyRequest(url, 'GET', headers, null, params);
+      const response = await this.apiRequest(url, 'GET', { params, signal });
 
       if (response.status !== 200) {
         throw new Error(`Failed to get tables: ${response.status} - ${response.statusText}`);
@@ -191,7 +619,10 @@ class DAPClient {
       this.log(`Retrieved ${response.data.tables?.length || 0} tables`);
       return response.data.tables || [];
     } catch (error) {
-      console.error("Failed to get tables:", error);
+      if (this.isAbortError(error)) {
+        throw error;
+      }
+      this.logger.error("Failed to get tables:", error);
       throw new Error(`Failed to get tables: ${error.message}`);
     }
   }
@@ -202,26 +633,21 @@ class DAPClient {
    * @param {string} namespace - The namespace
    * @param {string} table - The table name
    * @param {string|null} scope - The scope to access (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
    * @returns {Promise<Object>} - Table schema information
    * @throws {Error} - If the query fails
    */
-  async getTableSchema(namespace, table, scope = null) {
-    await this.ensureAuthenticated();
-    
+  async getTableSchema(namespace, table, scope = null, signal = null) {
     const url = `${this.baseUrl}/dap/query/${namespace}/table/${table}/schema`;
     this.log(`Getting schema for table: ${namespace}.${table}`);
     
-    const headers = {
-      'Authorization': `Bearer ${this.accessToken}`
-    };
-    
     const params = {};
     if (scope) {
       params.scope = scope;
     }
     
     try {
-      const response = await this.makeProxyRequest(url, 'GET', headers, null, params);
+      const response = await this.apiRequest(url, 'GET', { params, signal });
 
       if (response.status !== 200) {
         throw new Error(`Failed to get table schema: ${response.status} - ${response.statusText}`);
@@ -230,7 +656,10 @@ class DAPClient {
       this.log(`Retrieved schema for table: ${namespace}.${table}`);
       return response.data;
     } catch (error) {
-      console.error("Failed to get table schema:", error);
+      if (this.isAbortError(error)) {
+        throw error;
+      }
+      this.logger.error("Failed to get table schema:", error);
       throw new Error(`Failed to get table schema: ${error.message}`);
     }
   }
@@ -242,20 +671,14 @@ class DAPClient {
    * @param {string} table - The table name
    * @param {Object} query - The query object
    * @param {string|null} scope - The scope to access (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
    * @returns {Promise<Object>} - Job information
    * @throws {Error} - If the query fails
    */
-  async queryTableData(namespace, table, query, scope = null) {
-    await this.ensureAuthenticated();
-    
+  async queryTableData(namespace, table, query, scope = null, signal = null) {
     const url = `${this.baseUrl}/dap/query/${namespace}/table/${table}/data`;
     this.log(`Starting query for ${namespace}.${table}`, query);
     
-    const headers = {
-      'Authorization': `Bearer ${this.accessToken}`,
-      'Content-Type': 'application/json'
-    };
-    
     const params = {};
     if (scope) {
       params.scope = scope;
@@ -285,22 +708,35 @@ class DAPClient {
       
       this.log('Query request body:', requestBody);
       
-      const response = await this.makeProxyRequest(
-        url, 
-        'POST', 
-        headers, 
-        requestBody,  // Send the properly formatted request body
-        params
-      );
+      // Submitting a query starts a new job, so it is only retried when explicitly enabled
+      const response = await this.apiRequest(url, 'POST', {
+        headers: { 'Content-Type': 'application/json' },
+        data: requestBody,  // Send the properly formatted request body
+        params,
+        signal,
+        idempotent: this.retry.retryQueries
+      });
 
       if (response.status !== 200 && response.status !== 202) {
         throw new Error(`Failed to query table data: ${response.status} - ${response.statusText}`);
       }
 
       this.log(`Query started for ${namespace}.${table}, job ID: ${response.data.id || 'unknown'}`);
+      
+      if (typeof this.onJobSubmitted === 'function' && response.data.id) {
+        try {
+          this.onJobSubmitted(response.data, { namespace, table, query, scope });
+        } catch (hookError) {
+          this.logger.error("Job submitted callback failed:", hookError);
+        }
+      }
+      
       return response.data;
     } catch (error) {
-      console.error("Failed to query table data:", error);
+      if (this.isAbortError(error)) {
+        throw error;
+      }
+      this.logger.error("Failed to query table data:", error);
       throw new Error(`Failed to query table data: ${error.message}`);
     }
   }
@@ -309,21 +745,16 @@ class DAPClient {
    * Check the status of a job
    * 
    * @param {string} jobId - The job ID
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
    * @returns {Promise<Object>} - Job status information
    * @throws {Error} - If the job check fails
    */
-  async getJobStatus(jobId) {
-    await this.ensureAuthenticated();
-    
+  async getJobStatus(jobId, signal = null) {
     const url = `${this.baseUrl}/dap/job/${jobId}`;
     this.log(`Checking status for job: ${jobId}`);
     
-    const headers = {
-      'Authorization': `Bearer ${this.accessToken}`
-    };
-    
     try {
-      const response = await this.makeProxyRequest(url, 'GET', headers);
+      const response = await this.apiRequest(url, 'GET', { signal });
 
       if (response.status === 404) {
         throw new Error(`Job not found or expired: ${jobId}`);
@@ -336,33 +767,74 @@ class DAPClient {
       this.log(`Job ${jobId} status: ${response.data.status}`);
       return response.data;
     } catch (error) {
-      console.error("Failed to get job status:", error);
+      if (this.isAbortError(error)) {
+        throw error;
+      }
+      this.logger.error("Failed to get job status:", error);
       throw new Error(`Failed to get job status: ${error.message}`);
     }
   }
 
   /**
-   * Wait for a job to complete, polling periodically
+   * Get the time to wait before the next job status check
+   * 
+   * The interval grows by `backoffFactor` after every check, up to
+   * `maxInterval`, with random jitter so parallel jobs do not poll in step.
+   * 
+   * @param {number} attempt - Number of status checks made so far (starting at 0)
+   * @param {number} initialInterval - Interval before the second check in seconds
+   * @returns {number} - Time to wait in milliseconds
+   */
+  getPollDelay(attempt, initialInterval) {
+    const { backoffFactor, maxInterval, jitter } = this.polling;
+    const interval = Math.min(maxInterval, initialInterval * Math.pow(backoffFactor, attempt));
+    const jitterFactor = 1 + jitter * (Math.random() * 2 - 1);
+    return Math.max(0, interval * jitterFactor * 1000);
+  }
+
+  /**
+   * Wait for a job to complete, polling with exponential backoff
+   * 
+   * Defaults come from `this.polling`. A timeout of 0 (or Infinity) waits
+   * until the job completes, fails or the signal is aborted.
    * 
    * @param {string} jobId - The job ID
-   * @param {number} timeout - Maximum time to wait in seconds
-   * @param {number} pollInterval - Time between status checks in seconds
+   * @param {number|null} timeout - Maximum time to wait in seconds (defaults to polling.timeout)
+   * @param {number|null} pollInterval - Time before the second status check in seconds (defaults to polling.initialInterval)
+   * @param {AbortSignal|null} signal - Signal to stop polling (optional)
+   * @param {Function|null} onStatus - Called as (status, elapsedSeconds, jobInfo) after every status check (optional)
    * @returns {Promise<Object>} - The completed job information
-   * @throws {Error} - If the job fails or times out
+   * @throws {Error} - If the job fails, times out or polling is aborted
    */
-  async waitForJobCompletion(jobId, timeout = 300, pollInterval = 2) {
+  async waitForJobCompletion(jobId, timeout = null, pollInterval = null, signal = null, onStatus = null) {
+    timeout = timeout ?? this.polling.timeout;
+    pollInterval = pollInterval ?? this.polling.initialInterval;
+    
     const startTime = new Date();
-    const timeoutDelta = timeout * 1000; // convert to milliseconds
+    const timeoutDelta = timeout > 0 ? timeout * 1000 : Infinity; // convert to milliseconds
     
-    this.log(`Waiting for job ${jobId} to complete (timeout: ${timeout}s, poll: ${pollInterval}s)`);
+    this.log(`Waiting for job ${jobId} to complete (timeout: ${timeout > 0 ? `${timeout}s` : 'none'}, poll: ${pollInterval}s up to ${this.polling.maxInterval}s)`);
     
+    let attempt = 0;
     while ((new Date() - startTime) < timeoutDelta) {
-      const jobStatus = await this.getJobStatus(jobId);
+      this.throwIfAborted(signal);
+      const jobStatus = await this.getJobStatus(jobId, signal);
       
       const status = jobStatus.status;
+      const elapsed = (new Date() - startTime) / 1000;
+      
+      for (const listener of [onStatus, this.onJobStatus]) {
+        if (typeof listener === 'function') {
+          try {
+            listener(status, elapsed, jobStatus);
+          } catch (listenerError) {
+            this.logger.error("Job status callback failed:", listenerError);
+          }
+        }
+      }
       
       // Check for both "completed" and "complete" status values
-      if (status === "completed" || status === "complete") {
+      if (this.isJobComplete(status)) {
         this.log(`Job ${jobId} completed successfully`);
         return jobStatus;
       } else if (status === "failed") {
@@ -371,9 +843,11 @@ class DAPClient {
         throw new Error(`Job failed: ${errorInfo}`);
       }
       
-      // Wait before checking again
-      this.log(`Job ${jobId} status: ${status}, waiting ${pollInterval} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, pollInterval * 1000));
+      // Wait before checking again, but not past the timeout
+      const remaining = timeoutDelta - (new Date() - startTime);
+      const delay = Math.min(this.getPollDelay(attempt++, pollInterval), Math.max(remaining, 0));
+      this.log(`Job ${jobId} status: ${status}, waiting ${(delay / 1000).toFixed(1)} seconds...`);
+      await this.delay(delay, signal);
     }
     
     this.log(`Job ${jobId} timed out after ${timeout} seconds`);
@@ -384,52 +858,37 @@ class DAPClient {
    * Get download URLs for specified object IDs
    * 
    * @param {Array<string>} objectIds - List of object IDs
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
    * @returns {Promise<Object>} - Dictionary mapping object IDs to download URLs
    * @throws {Error} - If getting URLs fails
    */
-  async getDownloadUrls(objectIds) {
-    await this.ensureAuthenticated();
-    
+  async getDownloadUrls(objectIds, signal = null) {
     const url = `${this.baseUrl}/dap/object/url`;
     this.log(`Getting download URLs for ${objectIds.length} objects`);
     
-    const headers = {
-      'Authorization': `Bearer ${this.accessToken}`,
-      'Content-Type': 'application/json'
-    };
-    
     const requestData = objectIds.map(id => ({ id }));
     
     try {
-      const response = await this.makeProxyRequest(url, 'POST', headers, requestData);
+      // Requesting URLs does not change anything on the server, so the POST is safe to retry
+      const response = await this.apiRequest(url, 'POST', {
+        headers: { 'Content-Type': 'application/json' },
+        data: requestData,
+        signal,
+        idempotent: true
+      });
 
       if (response.status !== 200) {
         throw new Error(`Failed to get download URLs: ${response.status} - ${response.statusText}`);
       }
 
-      // Handle binary array format case - convert to JSON if needed
-      let responseData = response.data;
-      if (Array.isArray(responseData) && responseData.length > 0) {
-        this.log(`Received binary array for download URLs, converting to string`);
-        try {
-          // Convert binary array to string
-          const jsonString = String.fromCharCode.apply(null, responseData);
-          // Parse the JSON string
-          const parsedData = JSON.parse(jsonString);
-          if (parsedData && parsedData.urls) {
-            this.log(`Successfully parsed URLs from binary data`);
-            responseData = parsedData;
-          }
-        } catch (parseError) {
-          this.log(`Failed to parse URLs from binary data: ${parseError.message}`);
-        }
-      }
-
-      const urls = responseData.urls || {};
+      const urls = (response.data && response.data.urls) || {};
       this.log(`Retrieved ${Object.keys(urls).length} download URLs`);
       return urls;
     } catch (error) {
-      console.error("Failed to get download URLs:", error);
+      if (this.isAbortError(error)) {
+        throw error;
+      }
+      this.logger.error("Failed to get download URLs:", error);
       throw new Error(`Failed to get download URLs: ${error.message}`);
     }
   }
@@ -438,10 +897,12 @@ class DAPClient {
    * Download a file from a URL
    * 
    * @param {string} url - The file URL
-   * @returns {Promise<ArrayBuffer|Object>} - The downloaded file content or download info object
+   * @param {AbortSignal|null} signal - Signal to cancel the download (optional)
+   * @returns {Promise<ArrayBuffer|string|Object>} - The file content (an ArrayBuffer, or the text or parsed
+   *   JSON of text responses) or a redirect info object
    * @throws {Error} - If download fails
    */
-  async downloadFile(url) {
+  async downloadFile(url, signal = null) {
     try {
       this.log(`Downloading file from: ${url}`);
       
@@ -456,7 +917,7 @@ class DAPClient {
         this.log('Detected S3 URL, downloading directly instead of via proxy');
         try {
           // Use native fetch API for direct download
-          const response = await fetch(url);
+          const response = await this.withRetry(() => fetch(url, { signal }), true, signal);
           
           if (!response.ok) {
             throw new Error(`Direct download failed: ${response.status} ${response.statusText}`);
@@ -467,14 +928,17 @@ class DAPClient {
           this.log(`File downloaded successfully directly from S3, size: ${buffer.byteLength} bytes`);
           return buffer;
         } catch (directError) {
-          console.error("Direct download error:", directError);
+          if (this.isAbortError(directError)) {
+            throw directError;
+          }
+          this.logger.error("Direct download error:", directError);
           this.log('Direct download failed, falling back to proxy');
           // Fall back to proxy if direct download fails
         }
       }
       
-      // For API calls or fallback, use the proxy
-      const response = await this.makeProxyRequest(url, 'GET');
+      // For API calls or fallback, use the transport
+      const response = await this.withRetry(() => this.makeRequest(url, 'GET', {}, null, null, signal), true, signal);
 
       // Handle redirect for large S3 files
       if (response.redirect && response.status === 302) {
@@ -491,66 +955,117 @@ class DAPClient {
         throw new Error(`Failed to download file: ${response.status} - ${response.statusText}`);
       }
 
-      this.log(`File downloaded successfully with data type: ${typeof response.data}, is array: ${Array.isArray(response.data)}, is binary: ${response.isBinary || false}`);
-      
-      // Handle the data based on its type
-      // If it's a string, treat as binary data
-      if (typeof response.data === 'string') {
-        this.log('Processing string response as binary data');
-        try {
-          // Try to handle as properly encoded base64 first
-          const base64 = response.data.replace(/-/g, '+').replace(/_/g, '/');
+      // The transport already returns binary bodies as ArrayBuffers
+      const size = response.data instanceof ArrayBuffer ? `${response.data.byteLength} bytes` : typeof response.data;
+      this.log(`File downloaded successfully, content: ${size}`);
+      return response.data;
+    } catch (error) {
+      if (this.isAbortError(error)) {
+        throw error;
+      }
+      this.logger.error("Failed to download file:", error);
+      throw new Error(`Failed to download file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a streaming download of a file
+   * 
+   * The file is fetched directly (not through the proxy, which answers
+   * presigned S3 URLs with a redirect) and its body is returned as a stream
+   * that reports how many bytes have been read.
+   * 
+   * @param {string} url - The download URL (e.g. a presigned S3 URL from getDownloadUrls)
+   * @param {Function|null} onProgress - Called as (bytesRead, totalBytes) after every chunk; totalBytes is null if unknown (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the download (optional)
+   * @returns {Promise<Object>} - Dictionary with the body (a ReadableStream of bytes) and totalBytes
+   * @throws {Error} - If the download cannot be started
+   */
+  async openDownloadStream(url, onProgress = null, signal = null) {
+    this.log(`Streaming file from: ${url}`);
+    
+    const response = await this.withRetry(() => fetch(url, { signal }), true, signal);
+    if (!response.ok) {
+      throw new Error(`Direct download failed: ${response.status} ${response.statusText}`);
+    }
+    if (!response.body) {
+      throw new Error("Streaming downloads are not supported by this browser");
+    }
+    
+    const contentLength = parseInt(response.headers.get('Content-Length'), 10);
+    const totalBytes = isNaN(contentLength) ? null : contentLength;
+    let bytesRead = 0;
+    
+    const progress = new TransformStream({
+      transform: (chunk, controller) => {
+        bytesRead += chunk.byteLength;
+        controller.enqueue(chunk);
+        if (onProgress) {
           try {
-            const binaryStr = atob(base64);
-            const bytes = new Uint8Array(binaryStr.length);
-            for (let i = 0; i < binaryStr.length; i++) {
-              bytes[i] = binaryStr.charCodeAt(i);
-            }
-            return bytes.buffer;
-          } catch (atobError) {
-            // If atob fails, handle as raw binary string
-            this.log('Standard base64 decoding failed, treating as raw binary', atobError);
-            const bytes = new Uint8Array(response.data.length);
-            for (let i = 0; i < response.data.length; i++) {
-              bytes[i] = response.data.charCodeAt(i) & 0xff;
-            }
-            return bytes.buffer;
+            onProgress(bytesRead, totalBytes);
+          } catch (callbackError) {
+            this.logger.error("Download progress callback failed:", callbackError);
           }
-        } catch (e) {
-          this.log('Error processing string as binary', e);
-          // Last resort: return as-is
-          return response.data;
         }
       }
+    });
+    
+    return { body: response.body.pipeThrough(progress), totalBytes };
+  }
+
+  /**
+   * Stream a file from a download URL into a writable stream
+   * 
+   * The response body is piped to the destination chunk by chunk, so the file
+   * is never held in memory as a whole. The destination is closed when the
+   * download completes and aborted if it fails or is cancelled.
+   * 
+   * @param {string} url - The download URL (e.g. a presigned S3 URL from getDownloadUrls)
+   * @param {WritableStream|Function} writable - The destination, e.g. a FileSystemWritableFileStream, or an async
+   *   function (totalBytes) returning the destination once the size is known, or null to skip the file
+   * @param {Function|null} onProgress - Called as (bytesWritten, totalBytes) after every chunk; totalBytes is null if unknown (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the download (optional)
+   * @returns {Promise<number|null>} - Number of bytes written, or null if the file was skipped
+   * @throws {Error} - If the download or the write fails
+   */
+  async streamFile(url, writable, onProgress = null, signal = null) {
+    let destination = typeof writable === 'function' ? null : writable;
+    let piping = false;
+    
+    try {
+      let bytesWritten = 0;
+      const download = await this.openDownloadStream(url, (bytesRead, totalBytes) => {
+        bytesWritten = bytesRead;
+        if (onProgress) {
+          onProgress(bytesRead, totalBytes);
+        }
+      }, signal);
       
-      // If it's already an array, convert to ArrayBuffer
-      if (Array.isArray(response.data)) {
-        this.log('Converting array to ArrayBuffer, array length: ' + response.data.length);
-        try {
-          const bytes = new Uint8Array(response.data);
-          return bytes.buffer;
-        } catch (arrayError) {
-          this.log('Error converting array to buffer', arrayError);
-          // Try as JSON string if it looks like character codes
-          if (response.data.length > 0 && response.data[0] === 123) { // '{' character
-            try {
-              const jsonString = String.fromCharCode.apply(null, response.data);
-              this.log('Converted array to JSON string, trying to parse');
-              return jsonString;
-            } catch (stringifyError) {
-              this.log('Error converting array to string', stringifyError);
-            }
-          }
-          return response.data;
+      if (!destination) {
+        destination = await writable(download.totalBytes);
+        if (!destination) {
+          await download.body.cancel().catch(() => {});
+          this.log(`Skipped file from: ${url}`);
+          return null;
         }
       }
       
-      // Return as is for other formats (JSON, etc.)
-      this.log('Returning data as-is (type: ' + typeof response.data + ')');
-      return response.data;
+      // pipeTo closes the destination when done and aborts it on errors or cancellation
+      piping = true;
+      await download.body.pipeTo(destination, signal ? { signal } : {});
+      
+      this.log(`File streamed successfully, size: ${bytesWritten} bytes`);
+      return bytesWritten;
     } catch (error) {
-      console.error("Failed to download file:", error);
-      throw new Error(`Failed to download file: ${error.message}`);
+      if (destination && !piping) {
+        // Discard the destination (e.g. the temporary file of a save dialog) when nothing was written
+        await Promise.resolve(destination.abort(error)).catch(() => {});
+      }
+      if (this.isAbortError(error)) {
+        throw error;
+      }
+      this.logger.error("Failed to stream file:", error);
+      throw new Error(`Failed to stream file: ${error.message}`);
     }
   }
 
@@ -561,13 +1076,14 @@ class DAPClient {
    * @param {string} table - The table name
    * @param {Object} query - The query object
    * @param {string|null} scope - The scope to access (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
    * @returns {Promise<Object>} - Job information for the completed job
    * @throws {Error} - If the query fails or job fails
    */
-  async getTableData(namespace, table, query, scope = null) {
+  async getTableData(namespace, table, query, scope = null, signal = null) {
     this.log(`Getting table data for ${namespace}.${table}`, query);
     
-    const jobInfo = await this.queryTableData(namespace, table, query, scope);
+    const jobInfo = await this.queryTableData(namespace, table, query, scope, signal);
     this.log('Job info received:', jobInfo);
     const jobId = jobInfo.id;
     
@@ -576,76 +1092,137 @@ class DAPClient {
     }
     
     // If the job is already completed, return it
-    if (jobInfo.status === "completed" || jobInfo.status === "complete") {
+    if (this.isJobComplete(jobInfo.status)) {
       this.log(`Job ${jobId} already completed`);
       this.log('Job result data:', jobInfo);
       return jobInfo;
     }
     
     // Otherwise, wait for it to complete
-    const completedJobInfo = await this.waitForJobCompletion(jobId);
+    const completedJobInfo = await this.waitForJobCompletion(jobId, null, null, signal);
     this.log('Completed job info:', completedJobInfo);
     return completedJobInfo;
   }
 
   /**
-   * Query table data, wait for completion, and download the resulting files
+   * Check whether a job status value means the job has finished successfully
    * 
-   * @param {string} namespace - The namespace
-   * @param {string} table - The table name
-   * @param {Object} query - The query object
-   * @param {string|null} scope - The scope to access (optional)
-   * @returns {Promise<Object>} - Dictionary with file names and their content or download links
-   * @throws {Error} - If the query fails or download fails
+   * @param {string} status - The job status
+   * @returns {boolean} - True if the job is complete
    */
-  async downloadTableData(namespace, table, query, scope = null) {
-    this.log(`Downloading table data for ${namespace}.${table}`, query);
+  isJobComplete(status) {
+    // The API has returned both "completed" and "complete" status values
+    return status === "completed" || status === "complete";
+  }
+
+  /**
+   * Resolve a job reference to the information for a completed job
+   * 
+   * @param {string|Object} job - A job ID or a job info object
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
+   * @returns {Promise<Object>} - Job information for the completed job
+   * @throws {Error} - If the job cannot be found or does not complete
+   */
+  async resolveCompletedJob(job, signal = null) {
+    const jobInfo = typeof job === 'string' ? await this.getJobStatus(job, signal) : job;
     
-    const jobInfo = await this.getTableData(namespace, table, query, scope);
-    this.log('Download job info complete response:', jobInfo);
+    if (!jobInfo || !jobInfo.id) {
+      throw new Error("A job ID or job info object with an ID is required");
+    }
+    
+    if (this.isJobComplete(jobInfo.status)) {
+      return jobInfo;
+    }
+    
+    if (jobInfo.status === "failed") {
+      throw new Error(`Job failed: ${jobInfo.error || "Unknown error"}`);
+    }
     
+    return await this.waitForJobCompletion(jobInfo.id, null, null, signal);
+  }
+
+  /**
+   * Get the download links for the result files of a completed job
+   * 
+   * @param {Object} jobInfo - Job information for a completed job (with its objects list)
+   * @param {string|null} table - Table name used for fallback file names (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
+   * @returns {Promise<Array<Object>>} - List of { id, filename, url }, ordered by part number
+   * @throws {Error} - If getting URLs fails
+   */
+  async getJobDownloadLinks(jobInfo, table = null, signal = null) {
     // Get object IDs from the completed job
     const objectIds = (jobInfo.objects || []).map(obj => obj.id);
-    this.log(`Job completed with ${objectIds.length} objects to download`);
+    this.log(`Job ${jobInfo.id} completed with ${objectIds.length} objects to download`);
     
     if (objectIds.length === 0) {
       this.log('WARNING: No objects returned from job. Job info:', jobInfo);
-      return { files: [] };
+      return [];
     }
     
     // Get download URLs for the objects
-    const urlInfo = await this.getDownloadUrls(objectIds);
+    const urlInfo = await this.getDownloadUrls(objectIds, signal);
     this.log('Download URLs received:', urlInfo);
     
-    // Download each file
-    const files = [];
+    const links = [];
     for (const objId in urlInfo) {
       const info = urlInfo[objId];
-      const url = info.url;
-      const filename = info.filename || `${table}_${objId}`;
+      if (!info.url) {
+        this.log(`WARNING: No URL provided for object ID: ${objId}`);
+        continue;
+      }
+      links.push({
+        id: objId,
+        filename: info.filename || `${table || jobInfo.id}_${objId}`,
+        url: info.url
+      });
+    }
+    
+    // Object names contain "part-NNNNN"; keep the parts in order
+    const partNumber = link => {
+      const match = `${link.filename} ${link.id}`.match(/part-(\d+)/);
+      return match ? parseInt(match[1], 10) : Infinity;
+    };
+    return links.sort((a, b) => partNumber(a) - partNumber(b) || a.filename.localeCompare(b.filename));
+  }
+
+  /**
+   * Download the result files of an already completed job
+   * 
+   * No new query is submitted; the objects listed in the job info are
+   * resolved to download URLs and fetched.
+   * 
+   * @param {Object} jobInfo - Job information for a completed job (with its objects list)
+   * @param {string|null} table - Table name used for fallback file names (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
+   * @returns {Promise<Object>} - Dictionary with file names and their content or download links
+   * @throws {Error} - If getting URLs or downloading fails
+   */
+  async downloadJobFiles(jobInfo, table = null, signal = null) {
+    const links = await this.getJobDownloadLinks(jobInfo, table, signal);
+    
+    // Download each file
+    const files = [];
+    for (const { filename, url } of links) {
+      this.throwIfAborted(signal);
+      this.log(`Downloading file: ${filename} from URL: ${url}`);
+      const content = await this.downloadFile(url, signal);
       
-      if (url) {
-        this.log(`Downloading file: ${filename} from URL: ${url}`);
-        const content = await this.downloadFile(url);
-        
-        // Check if we got a redirect response for large files
-        if (content && typeof content === 'object' && content.type === 'redirect') {
-          this.log(`Received redirect for large file: ${filename}, URL: ${content.url}`);
-          files.push({
-            filename,
-            isRedirect: true,
-            redirectUrl: content.url,
-            message: content.message
-          });
-        } else {
-          this.log(`File downloaded successfully: ${filename}, content type: ${typeof content}`);
-          files.push({
-            filename,
-            content
-          });
-        }
+      // Check if we got a redirect response for large files
+      if (content && typeof content === 'object' && content.type === 'redirect') {
+        this.log(`Received redirect for large file: ${filename}, URL: ${content.url}`);
+        files.push({
+          filename,
+          isRedirect: true,
+          redirectUrl: content.url,
+          message: content.message
+        });
       } else {
-        this.log(`WARNING: No URL provided for object ID: ${objId}`);
+        this.log(`File downloaded successfully: ${filename}, content type: ${typeof content}`);
+        files.push({
+          filename,
+          content
+        });
       }
     }
     
@@ -653,6 +1230,36 @@ class DAPClient {
     return { files };
   }
 
+  /**
+   * Download the resulting files for a table query or an existing job
+   * 
+   * When given a query object a new job is submitted and awaited. When given
+   * a job ID or job info object, that job is reused instead of submitting
+   * the query again.
+   * 
+   * @param {string} namespace - The namespace
+   * @param {string} table - The table name
+   * @param {Object|string} query - The query object, a job ID or a job info object
+   * @param {string|null} scope - The scope to access (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
+   * @returns {Promise<Object>} - Dictionary with the job info, file names and their content or download links
+   * @throws {Error} - If the query fails or download fails
+   */
+  async downloadTableData(namespace, table, query, scope = null, signal = null) {
+    this.log(`Downloading table data for ${namespace}.${table}`, query);
+    
+    // Query objects never carry an ID, so a string or an object with one is a job reference
+    const isJobReference = typeof query === 'string' || (query && query.id);
+    
+    const jobInfo = isJobReference ?
+      await this.resolveCompletedJob(query, signal) :
+      await this.getTableData(namespace, table, query, scope, signal);
+    this.log('Download job info complete response:', jobInfo);
+    
+    const { files } = await this.downloadJobFiles(jobInfo, table, signal);
+    return { job: jobInfo, files };
+  }
+
   /**
    * Create a snapshot query object
    * 
@@ -699,6 +1306,54 @@ class DAPClient {
     this.log('Created incremental query', query);
     return query;
   }
+
+  /**
+   * Create incremental queries that cover a time range in consecutive windows
+   * 
+   * Each window starts where the previous one ended, so running the queries
+   * in order covers the whole range without gaps.
+   * 
+   * @param {string} format - The output format (jsonl, csv, tsv, parquet)
+   * @param {string|Date} since - Start of the range
+   * @param {string|Date} until - End of the range
+   * @param {number} windowDays - Length of each window in days
+   * @param {string|null} mode - Output mode (optional)
+   * @returns {Array<Object>} - The incremental query objects, in time order
+   * @throws {Error} - If the range or window length is invalid
+   */
+  createIncrementalWindowQueries(format, since, until, windowDays = 1, mode = null) {
+    const start = new Date(since).getTime();
+    const end = new Date(until).getTime();
+    
+    if (isNaN(start) || isNaN(end)) {
+      throw new Error("Valid since and until timestamps are required");
+    }
+    
+    if (start >= end) {
+      throw new Error("The since timestamp must be before the until timestamp");
+    }
+    
+    if (!(windowDays > 0)) {
+      throw new Error("The window length must be greater than zero");
+    }
+    
+    const windowMs = windowDays * 24 * 60 * 60 * 1000;
+    const queries = [];
+    
+    for (let windowStart = start; windowStart < end; windowStart += windowMs) {
+      const windowEnd = Math.min(windowStart + windowMs, end);
+      queries.push(this.createIncrementalQuery(
+        format,
+        // Keep the caller's exact since value for the first window
+        windowStart === start ? since : new Date(windowStart),
+        windowEnd === end ? until : new Date(windowEnd),
+        mode
+      ));
+    }
+    
+    this.log(`Split ${new Date(start).toISOString()} - ${new Date(end).toISOString()} into ${queries.length} windows`);
+    return queries;
+  }
 }
 
 // Export the client for use in other scripts
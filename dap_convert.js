@@ -0,0 +1,288 @@
+/**
+ * Canvas DAP Format Converter
+ *
+ * This module converts JSONL parts that were already downloaded (plain or
+ * gzip compressed) into flattened CSV or TSV, a multi-sheet XLSX workbook
+ * or Parquet. Records are streamed from the files one line at a time and
+ * nested objects such as "value" and "meta" are flattened into dotted
+ * column names; when the table schema is available it decides the column
+ * order and the Parquet column types.
+ */
+
+const convertSchemaHelpers = typeof window !== 'undefined' && window.DAPSchema ?
+  window.DAPSchema :
+  require('./dap_schema.js').DAPSchema;
+const convertXlsxWriter = typeof window !== 'undefined' && window.XlsxWriter ?
+  window.XlsxWriter :
+  require('./dap_xlsx.js').XlsxWriter;
+const convertParquetWriter = typeof window !== 'undefined' && window.ParquetWriter ?
+  window.ParquetWriter :
+  require('./dap_parquet.js').ParquetWriter;
+
+class FormatConverter {
+  /**
+   * Initialize the format converter
+   *
+   * @param {string} target - The output format (csv, tsv, xlsx, parquet)
+   */
+  constructor(target = "csv") {
+    if (!FormatConverter.TARGETS.includes(target)) {
+      throw new Error(`Unsupported conversion target: ${target}`);
+    }
+
+    this.target = target;
+  }
+
+  /**
+   * Guess the table name from the name of a downloaded file
+   *
+   * Handles the names used by the save modes of this app, e.g.
+   * "accounts.jsonl.gz", "accounts-part-003.jsonl.gz" and
+   * "accounts-20240101T000000Z-20240102T000000Z-part-000.jsonl", as well as
+   * merged snapshots such as "accounts-20240102T000000Z.jsonl.gz".
+   *
+   * @param {string} filename - The file name
+   * @returns {string} - The table name
+   */
+  static inferTableName(filename) {
+    return filename
+      .replace(/\.gz$/, '')
+      .replace(/\.(jsonl|json)$/, '')
+      .replace(/-part-\d+$/, '')
+      .replace(/_part\d+$/, '')
+      .replace(/-\d{8}T\d{6}Z-\d{8}T\d{6}Z$/, '')
+      .replace(/-\d{8}T\d{6}Z$/, '');
+  }
+
+  /**
+   * Get the file name for the converted output (e.g. "accounts.xlsx")
+   *
+   * @param {string} baseName - File name without extension
+   * @returns {string} - The file name
+   */
+  outputFilename(baseName) {
+    return `${baseName}.${this.target}`;
+  }
+
+  /**
+   * Read the records of JSONL files one at a time
+   *
+   * @param {Array<File|Blob>} files - The JSONL files; names ending in ".gz" are decompressed
+   * @param {Function|null} onProgress - Called as (fileIndex, fileCount, recordCount) every 1000 records (optional)
+   * @param {AbortSignal|null} signal - Signal to stop reading (optional)
+   * @returns {AsyncGenerator<Object>} - The parsed records
+   * @throws {Error} - If a line is not valid JSON
+   */
+  static async *readJsonLines(files, onProgress = null, signal = null) {
+    let recordCount = 0;
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      let stream = file.stream();
+      if (/\.gz$/.test(file.name || '')) {
+        stream = stream.pipeThrough(new DecompressionStream("gzip"));
+      }
+      const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+
+      let pending = '';
+      let lineNumber = 0;
+      const parseLine = line => {
+        lineNumber++;
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid JSON on line ${lineNumber} of ${file.name}: ${error.message}`);
+        }
+      };
+
+      try {
+        for (;;) {
+          if (signal && signal.aborted) {
+            throw new DOMException("The operation was aborted.", "AbortError");
+          }
+          const { done, value } = await reader.read();
+          if (done) {
+            break;
+          }
+
+          const lines = (pending + value).split('\n');
+          pending = lines.pop();
+          for (const line of lines) {
+            if (line.trim() === '') {
+              lineNumber++;
+              continue;
+            }
+            yield parseLine(line);
+            if (++recordCount % 1000 === 0 && onProgress) {
+              onProgress(i, files.length, recordCount);
+            }
+          }
+        }
+      } finally {
+        await reader.cancel().catch(() => {});
+      }
+
+      if (pending.trim() !== '') {
+        yield parseLine(pending);
+        recordCount++;
+      }
+      if (onProgress) {
+        onProgress(i, files.length, recordCount);
+      }
+    }
+  }
+
+  /**
+   * Read the flattened records of JSONL files one at a time
+   *
+   * @param {Array<File|Blob>} files - The JSONL files; names ending in ".gz" are decompressed
+   * @param {Function|null} onProgress - Called as (fileIndex, fileCount, recordCount) every 1000 records (optional)
+   * @param {AbortSignal|null} signal - Signal to stop reading (optional)
+   * @returns {AsyncGenerator<Object>} - Flattened records keyed by dotted column path
+   * @throws {Error} - If a line is not valid JSON
+   */
+  async *readRecords(files, onProgress = null, signal = null) {
+    for await (const record of FormatConverter.readJsonLines(files, onProgress, signal)) {
+      yield convertSchemaHelpers.flattenRecord(record);
+    }
+  }
+
+  /**
+   * Get the output columns of a table
+   *
+   * With a schema the columns are its leaf columns, in schema order.
+   * Without one the files are read once first to collect every key, typed
+   * as strings.
+   *
+   * @param {Object} source - The table: { table, files, schema }
+   * @param {AbortSignal|null} signal - Signal to stop reading (optional)
+   * @returns {Promise<Array<Object>>} - List of { name, type } with type "integer", "number", "boolean", "timestamp" or "string"
+   */
+  async getColumns(source, signal = null) {
+    const columns = source.schema ?
+      convertSchemaHelpers.flattenColumns(convertSchemaHelpers.buildColumnTree(source.schema))
+        .map(column => ({ name: column.path, type: convertParquetWriter.columnType(column) })) :
+      [];
+
+    if (!source.schema) {
+      const seen = new Set();
+      for await (const record of this.readRecords(source.files, null, signal)) {
+        for (const key of Object.keys(record)) {
+          if (!seen.has(key)) {
+            seen.add(key);
+            columns.push({ name: key, type: "string" });
+          }
+        }
+      }
+    }
+    return columns;
+  }
+
+  /**
+   * Escape a value for a CSV or TSV field
+   *
+   * @param {*} value - The value
+   * @param {string} delimiter - The field delimiter
+   * @returns {string} - The field text
+   */
+  static formatField(value, delimiter) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * Convert downloaded JSONL files into one output file
+   *
+   * CSV, TSV and Parquet hold a single table; XLSX gets one sheet per table
+   * (split into further sheets past the Excel row limit).
+   *
+   * @param {Array<Object>} sources - List of tables: { table, files, schema } (schema optional)
+   * @param {WritableStream} writable - The destination, e.g. a FileSystemWritableFileStream (closed when done)
+   * @param {Function|null} onProgress - Called as (table, fileIndex, fileCount, recordCount) while records are converted (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the conversion (optional)
+   * @returns {Promise<Object>} - Dictionary mapping table names to the number of records converted
+   * @throws {Error} - If the input cannot be converted or reading or writing fails
+   */
+  async convert(sources, writable, onProgress = null, signal = null) {
+    if (sources.length === 0 || (this.target !== "xlsx" && sources.length > 1)) {
+      await Promise.resolve(writable.abort()).catch(() => {});
+      throw new Error(sources.length === 0 ?
+        "No files to convert" :
+        `${this.target.toUpperCase()} output holds a single table; convert one table at a time or use XLSX`);
+    }
+
+    const counts = {};
+    const records = source => this.readRecords(source.files, (i, count, recordCount) => {
+      if (onProgress) {
+        onProgress(source.table, i, count, recordCount);
+      }
+    }, signal);
+    let output = null;
+
+    try {
+      if (this.target === "xlsx") {
+        output = new convertXlsxWriter(writable);
+        for (const source of sources) {
+          const columns = await this.getColumns(source, signal);
+          await output.addSheet(source.table, columns.map(column => column.name));
+          counts[source.table] = 0;
+          for await (const record of records(source)) {
+            await output.addRow(columns.map(column => record[column.name]));
+            counts[source.table]++;
+          }
+        }
+        await output.close();
+      } else if (this.target === "parquet") {
+        const [source] = sources;
+        const columns = await this.getColumns(source, signal);
+        output = new convertParquetWriter(writable, columns);
+        counts[source.table] = 0;
+        for await (const record of records(source)) {
+          await output.writeRow(columns.map(column => record[column.name]));
+          counts[source.table]++;
+        }
+        await output.close();
+      } else {
+        const [source] = sources;
+        const delimiter = this.target === "tsv" ? "\t" : ",";
+        const encoder = new TextEncoder();
+        const columns = await this.getColumns(source, signal);
+        const writer = writable.getWriter();
+        output = { abort: reason => writer.abort(reason) };
+
+        let buffer = columns.map(column => FormatConverter.formatField(column.name, delimiter)).join(delimiter) + '\n';
+        counts[source.table] = 0;
+        for await (const record of records(source)) {
+          buffer += columns.map(column => FormatConverter.formatField(record[column.name], delimiter)).join(delimiter) + '\n';
+          counts[source.table]++;
+          if (buffer.length >= 65536) {
+            await writer.write(encoder.encode(buffer));
+            buffer = '';
+          }
+        }
+        await writer.write(encoder.encode(buffer));
+        await writer.close();
+      }
+    } catch (error) {
+      await Promise.resolve((output || writable).abort(error)).catch(() => {});
+      throw error;
+    }
+
+    return counts;
+  }
+}
+
+FormatConverter.TARGETS = ["csv", "tsv", "xlsx", "parquet"];
+
+// Export the converter for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { FormatConverter };
+} else {
+  window.FormatConverter = FormatConverter;
+}
@@ -0,0 +1,293 @@
+/**
+ * Canvas DAP SQL DDL Generator
+ *
+ * This module maps the JSON schema returned by DAPClient.getTableSchema to
+ * CREATE TABLE statements for PostgreSQL, MySQL and SQLite. Nested objects
+ * are flattened into columns and the primary key is taken from the "key"
+ * section of the DAP record.
+ */
+
+const ddlSchemaHelpers = typeof window !== 'undefined' && window.DAPSchema ?
+  window.DAPSchema :
+  require('./dap_schema.js').DAPSchema;
+
+class DDLGenerator {
+  /**
+   * Initialize the DDL generator
+   *
+   * @param {string} dialect - SQL dialect ("postgresql", "mysql" or "sqlite")
+   * @param {Object} options - Generator options
+   * @param {string|null} options.schemaName - Database schema to create tables in (defaults to the namespace for PostgreSQL)
+   * @param {boolean} options.includeMeta - Whether to include columns from the "meta" section (default: true)
+   */
+  constructor(dialect = "postgresql", options = {}) {
+    if (!DDLGenerator.DIALECTS.includes(dialect)) {
+      throw new Error(`Unsupported SQL dialect: ${dialect}`);
+    }
+
+    this.dialect = dialect;
+    this.schemaName = options.schemaName;
+    this.includeMeta = options.includeMeta !== false;
+  }
+
+  /**
+   * Quote an identifier for the current dialect
+   *
+   * @param {string} name - The identifier
+   * @returns {string} - The quoted identifier
+   */
+  quoteIdentifier(name) {
+    if (this.dialect === "mysql") {
+      return `\`${name.replace(/`/g, '``')}\``;
+    }
+    return `"${name.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Quote a string literal
+   *
+   * @param {string} value - The string value
+   * @returns {string} - The quoted literal
+   */
+  quoteLiteral(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Get the database schema that tables are created in
+   *
+   * @param {string} namespace - The namespace
+   * @returns {string|null} - The schema name, or null for unqualified table names
+   */
+  getSchemaName(namespace) {
+    return this.schemaName === undefined ?
+      (this.dialect === "postgresql" ? namespace : null) :
+      this.schemaName;
+  }
+
+  /**
+   * Get the CREATE SCHEMA statement for schema-qualified table names
+   *
+   * SQLite has no CREATE SCHEMA (a schema there is an attached database),
+   * so no statement is generated for it.
+   *
+   * @param {string} namespace - The namespace
+   * @returns {string|null} - The statement, or null if the table names are not schema-qualified
+   */
+  schemaDDL(namespace) {
+    const schemaName = this.getSchemaName(namespace);
+    if (!schemaName || this.dialect === "sqlite") {
+      return null;
+    }
+    return `CREATE SCHEMA IF NOT EXISTS ${this.quoteIdentifier(schemaName)};\n`;
+  }
+
+  /**
+   * Get the (optionally schema-qualified) table name
+   *
+   * @param {string} namespace - The namespace
+   * @param {string} table - The table name
+   * @returns {string} - The quoted table name
+   */
+  qualifiedTableName(namespace, table) {
+    const schemaName = this.getSchemaName(namespace);
+
+    return schemaName ?
+      `${this.quoteIdentifier(schemaName)}.${this.quoteIdentifier(table)}` :
+      this.quoteIdentifier(table);
+  }
+
+  /**
+   * Map a DAP column to a SQL type for the current dialect
+   *
+   * @param {Object} column - Column node from DAPSchema.buildColumnTree
+   * @returns {string} - The SQL type
+   */
+  mapType(column) {
+    const dialect = this.dialect;
+
+    switch (column.type) {
+      case "integer":
+        if (dialect === "sqlite") {
+          return "INTEGER";
+        }
+        if (column.format === "int32") {
+          return dialect === "mysql" ? "INT" : "INTEGER";
+        }
+        if (column.format === "int16") {
+          return "SMALLINT";
+        }
+        return "BIGINT";
+
+      case "number":
+        if (dialect === "sqlite") {
+          return "REAL";
+        }
+        if (column.format === "float") {
+          return dialect === "mysql" ? "FLOAT" : "REAL";
+        }
+        return dialect === "mysql" ? "DOUBLE" : "DOUBLE PRECISION";
+
+      case "boolean":
+        return dialect === "sqlite" ? "INTEGER" : "BOOLEAN";
+
+      case "string":
+        if (dialect === "sqlite") {
+          return "TEXT";
+        }
+        if (column.format === "date-time") {
+          return dialect === "mysql" ? "DATETIME(6)" : "TIMESTAMP WITH TIME ZONE";
+        }
+        if (column.format === "date") {
+          return "DATE";
+        }
+        if (column.format === "uuid") {
+          return dialect === "mysql" ? "CHAR(36)" : "UUID";
+        }
+        if (column.enum && column.enum.length > 0) {
+          if (dialect === "mysql") {
+            return `ENUM(${column.enum.map(value => this.quoteLiteral(value)).join(', ')})`;
+          }
+          return `VARCHAR(${Math.max(...column.enum.map(value => String(value).length))})`;
+        }
+        if (column.maxLength) {
+          return `VARCHAR(${column.maxLength})`;
+        }
+        // MySQL cannot index TEXT columns without a prefix length
+        return dialect === "mysql" && column.primaryKey ? "VARCHAR(255)" : "TEXT";
+
+      default:
+        // Arrays, free-form objects and mixed types are stored as JSON
+        if (dialect === "sqlite") {
+          return "TEXT";
+        }
+        return dialect === "mysql" ? "JSON" : "JSONB";
+    }
+  }
+
+  /**
+   * Get the flattened SQL columns for a table schema
+   *
+   * Columns from the "key" and "value" sections keep their own names; other
+   * sections (such as "meta") and nested objects are prefixed with their
+   * parent names joined by underscores.
+   *
+   * @param {Object} schemaResponse - The response from DAPClient.getTableSchema
+   * @returns {Array<Object>} - List of { name, path, sqlType, nullable, primaryKey, description }
+   */
+  getColumns(schemaResponse) {
+    const columns = ddlSchemaHelpers.flattenColumns(ddlSchemaHelpers.buildColumnTree(schemaResponse))
+      .filter(column => this.includeMeta || !column.path.startsWith('meta.'));
+
+    const usedNames = new Set();
+    return columns.map(column => {
+      const parts = column.path.replace(/\[\]/g, '').split('.');
+      if (parts.length > 1 && (parts[0] === 'key' || parts[0] === 'value')) {
+        parts.shift();
+      }
+
+      let name = parts.join('_');
+      if (usedNames.has(name)) {
+        // Fall back to the full path when a value column repeats a key column name
+        name = column.path.replace(/\[\]/g, '').split('.').join('_');
+      }
+      usedNames.add(name);
+
+      return {
+        name,
+        path: column.path,
+        sqlType: this.mapType(column),
+        nullable: column.nullable && !column.primaryKey,
+        primaryKey: column.primaryKey,
+        description: column.description
+      };
+    });
+  }
+
+  /**
+   * Generate the CREATE TABLE statement for a table
+   *
+   * @param {string} namespace - The namespace
+   * @param {string} table - The table name
+   * @param {Object} schemaResponse - The response from DAPClient.getTableSchema
+   * @param {boolean} includeSchema - Whether to create the schema of a schema-qualified table first
+   * @returns {string} - The DDL statements
+   */
+  tableDDL(namespace, table, schemaResponse, includeSchema = true) {
+    const tableName = this.qualifiedTableName(namespace, table);
+    const columns = this.getColumns(schemaResponse);
+    const primaryKey = columns.filter(column => column.primaryKey);
+
+    const definitions = columns.map(column => {
+      let definition = `  ${this.quoteIdentifier(column.name)} ${column.sqlType}`;
+      if (!column.nullable) {
+        definition += " NOT NULL";
+      }
+      if (this.dialect === "mysql" && column.description) {
+        definition += ` COMMENT ${this.quoteLiteral(column.description.slice(0, 1024))}`;
+      }
+      return definition;
+    });
+
+    if (primaryKey.length > 0) {
+      definitions.push(`  PRIMARY KEY (${primaryKey.map(column => this.quoteIdentifier(column.name)).join(', ')})`);
+    }
+
+    const lines = [`-- ${namespace}.${table} (schema version ${schemaResponse && schemaResponse.version !== undefined ? schemaResponse.version : 'unknown'})`];
+    if (this.dialect === "sqlite") {
+      // SQLite has no column comments, so list the descriptions above the table
+      columns.filter(column => column.description).forEach(column => {
+        lines.push(`-- ${column.name}: ${column.description.replace(/\r?\n/g, ' ')}`);
+      });
+    }
+
+    const schemaStatement = includeSchema ? this.schemaDDL(namespace) : null;
+    if (schemaStatement) {
+      lines.push(schemaStatement);
+    }
+
+    lines.push(`CREATE TABLE IF NOT EXISTS ${tableName} (`);
+    lines.push(definitions.join(',\n'));
+    lines.push(");");
+
+    if (this.dialect === "postgresql") {
+      columns.filter(column => column.description).forEach(column => {
+        lines.push(`COMMENT ON COLUMN ${tableName}.${this.quoteIdentifier(column.name)} IS ${this.quoteLiteral(column.description)};`);
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Generate the DDL for every table in a namespace
+   *
+   * @param {string} namespace - The namespace
+   * @param {Object} schemasByTable - Dictionary mapping table names to getTableSchema responses
+   * @returns {string} - The DDL statements
+   */
+  namespaceDDL(namespace, schemasByTable) {
+    const parts = [];
+
+    // The schema is created once for all tables
+    const schemaStatement = this.schemaDDL(namespace);
+    if (schemaStatement) {
+      parts.push(schemaStatement);
+    }
+
+    for (const table of Object.keys(schemasByTable).sort()) {
+      parts.push(this.tableDDL(namespace, table, schemasByTable[table], false));
+    }
+
+    return parts.join('\n');
+  }
+}
+
+DDLGenerator.DIALECTS = ["postgresql", "mysql", "sqlite"];
+
+// Export the generator for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { DDLGenerator };
+} else {
+  window.DDLGenerator = DDLGenerator;
+}
@@ -0,0 +1,385 @@
+/**
+ * Canvas DAP Export Filter
+ *
+ * This module trims job results before they are saved: only the selected
+ * columns are kept and only rows matching every filter (equals, in-list,
+ * date range, not-null) are written. JSONL, CSV and TSV parts are filtered
+ * in a single streaming pass, so a part is never held in memory; gzip parts
+ * are decompressed on the way in and compressed again on the way out.
+ * Columns are named by their schema path (e.g. "value.course_id").
+ */
+
+const filterSchemaHelpers = typeof window !== 'undefined' && window.DAPSchema ?
+  window.DAPSchema :
+  require('./dap_schema.js').DAPSchema;
+const filterFormatConverter = typeof window !== 'undefined' && window.FormatConverter ?
+  window.FormatConverter :
+  require('./dap_convert.js').FormatConverter;
+
+class ExportFilter {
+  /**
+   * Initialize the export filter
+   *
+   * Each filter is { column, operator, value } where value is a string for
+   * "equals", a list of strings for "in", { from, to } ISO timestamps for
+   * "dateRange" (from inclusive, to exclusive, either may be empty) and
+   * unused for "notNull".
+   *
+   * @param {Array<string>|null} columns - Schema paths of the columns to keep, or null to keep every column
+   * @param {Array<Object>} filters - The row filters; a row is kept when it matches all of them
+   * @throws {Error} - If a filter is invalid
+   */
+  constructor(columns = null, filters = []) {
+    for (const filter of filters) {
+      if (!ExportFilter.OPERATORS.includes(filter.operator)) {
+        throw new Error(`Unsupported filter operator: ${filter.operator}`);
+      }
+      if (!filter.column) {
+        throw new Error(`The ${filter.operator} filter needs a column`);
+      }
+      if (filter.operator === "dateRange") {
+        for (const bound of ["from", "to"]) {
+          const value = filter.value && filter.value[bound];
+          if (value && isNaN(Date.parse(value))) {
+            throw new Error(`Invalid date in ${filter.column} filter: ${value}`);
+          }
+        }
+      }
+    }
+
+    this.columns = columns && columns.length > 0 ? columns : null;
+    this.filters = filters;
+    this.rowsRead = 0;
+    this.rowsKept = 0;
+  }
+
+  /**
+   * Check whether the filter changes anything
+   *
+   * @returns {boolean} - True if columns are selected or row filters are set
+   */
+  isActive() {
+    return this.columns !== null || this.filters.length > 0;
+  }
+
+  /**
+   * Describe the filter (e.g. for a folder manifest)
+   *
+   * @returns {Object} - Dictionary with the selected columns and the filters
+   */
+  toJSON() {
+    return { columns: this.columns, filters: this.filters };
+  }
+
+  /**
+   * Find the name a column has in a set of data keys
+   *
+   * CSV/TSV headers may use either the full path ("value.name") or the
+   * name without its section ("name").
+   *
+   * @param {string} column - The schema path
+   * @param {Array<string>|Set<string>} keys - The keys present in the data
+   * @returns {string|null} - The matching key, or null if the column is not present
+   */
+  static findKey(column, keys) {
+    const has = key => (keys instanceof Set ? keys.has(key) : keys.includes(key));
+    const shortName = column.replace(/^(key|value)\./, '');
+    return [column, shortName].find(has) || null;
+  }
+
+  /**
+   * Check whether a value is empty (missing, null or an empty CSV field)
+   *
+   * @param {*} value - The value
+   * @returns {boolean} - True for empty values
+   */
+  static isEmpty(value) {
+    return value === null || value === undefined || value === '';
+  }
+
+  /**
+   * Check whether a row matches every filter
+   *
+   * @param {Object} record - The flattened row, keyed by column path or CSV header
+   * @returns {boolean} - True if the row should be kept
+   */
+  matches(record) {
+    const keys = Object.keys(record);
+
+    return this.filters.every(filter => {
+      const key = ExportFilter.findKey(filter.column, keys);
+      const value = key === null ? null : record[key];
+
+      switch (filter.operator) {
+        case "notNull":
+          return !ExportFilter.isEmpty(value);
+        case "equals":
+          return !ExportFilter.isEmpty(value) && String(value) === String(filter.value);
+        case "in":
+          return !ExportFilter.isEmpty(value) && (filter.value || []).map(String).includes(String(value));
+        case "dateRange": {
+          const time = ExportFilter.isEmpty(value) ? NaN : Date.parse(value);
+          if (isNaN(time)) {
+            return false;
+          }
+          const { from, to } = filter.value || {};
+          return (!from || time >= Date.parse(from)) && (!to || time < Date.parse(to));
+        }
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Keep only the selected columns of a JSONL record, keeping its nesting
+   *
+   * @param {Object} record - The parsed record
+   * @returns {Object} - The record with only the selected columns
+   */
+  selectColumns(record) {
+    if (!this.columns) {
+      return record;
+    }
+
+    const flat = filterSchemaHelpers.flattenRecord(record);
+    const result = {};
+    for (const column of this.columns) {
+      if (!(column in flat)) {
+        continue;
+      }
+      const names = column.split('.');
+      let target = result;
+      names.slice(0, -1).forEach(name => {
+        target[name] = target[name] || {};
+        target = target[name];
+      });
+      target[names[names.length - 1]] = flat[column];
+    }
+    return result;
+  }
+
+  /**
+   * Make sure results in a format can be filtered
+   *
+   * @param {string} fileFormat - The format of the data
+   * @throws {Error} - If the format is not JSONL, CSV or TSV
+   */
+  checkFormat(fileFormat) {
+    if (!["jsonl", "csv", "tsv"].includes(fileFormat)) {
+      throw new Error(`Column selection and row filters apply to JSONL, CSV and TSV results, not ${fileFormat}`);
+    }
+  }
+
+  /**
+   * Create a stream that filters uncompressed JSONL, CSV or TSV bytes
+   *
+   * CSV/TSV output keeps the original header names of the selected columns.
+   *
+   * @param {string} fileFormat - The format of the data (jsonl, csv, tsv)
+   * @returns {TransformStream} - Byte stream of the kept rows and columns
+   * @throws {Error} - If the format cannot be filtered
+   */
+  createTransform(fileFormat) {
+    this.checkFormat(fileFormat);
+
+    const filter = this;
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    const delimiter = fileFormat === "tsv" ? "\t" : ",";
+    let pending = '';
+
+    // CSV/TSV parser state, kept across chunks
+    let headers = null;
+    let selected = null;
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const processRow = fields => {
+      if (headers === null) {
+        headers = fields;
+        selected = filter.columns ?
+          filter.columns.map(column => ExportFilter.findKey(column, headers))
+            .filter(key => key !== null)
+            .map(key => headers.indexOf(key)) :
+          headers.map((header, index) => index);
+        return selected.map(index => filterFormatConverter.formatField(headers[index], delimiter)).join(delimiter) + '\n';
+      }
+      if (fields.length === 1 && fields[0] === '') {
+        return '';
+      }
+
+      filter.rowsRead++;
+      const record = Object.fromEntries(headers.map((header, index) => [header, fields[index] ?? null]));
+      if (!filter.matches(record)) {
+        return '';
+      }
+      filter.rowsKept++;
+      return selected.map(index => filterFormatConverter.formatField(fields[index], delimiter)).join(delimiter) + '\n';
+    };
+
+    const processLine = line => {
+      if (line.trim() === '') {
+        return '';
+      }
+      filter.rowsRead++;
+      const record = JSON.parse(line);
+      if (!filter.matches(filterSchemaHelpers.flattenRecord(record))) {
+        return '';
+      }
+      filter.rowsKept++;
+      return JSON.stringify(filter.selectColumns(record)) + '\n';
+    };
+
+    const processText = (text, final) => {
+      let output = '';
+
+      if (fileFormat === "jsonl") {
+        const lines = (pending + text).split('\n');
+        pending = final ? '' : lines.pop();
+        lines.forEach(line => {
+          output += processLine(line);
+        });
+        return output;
+      }
+
+      text = pending + text;
+      pending = '';
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+          if (char === '"' && i === text.length - 1 && !final) {
+            // Cannot tell a closing quote from a doubled one yet
+            pending = char;
+          } else if (char === '"' && text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            field += char;
+          }
+        } else if (char === '"' && field === '') {
+          quoted = true;
+        } else if (char === delimiter) {
+          row.push(field);
+          field = '';
+        } else if (char === '\n' || char === '\r') {
+          if (char === '\r' && i === text.length - 1 && !final) {
+            pending = char;
+            continue;
+          }
+          if (char === '\r' && text[i + 1] === '\n') {
+            i++;
+          }
+          row.push(field);
+          output += processRow(row);
+          row = [];
+          field = '';
+        } else {
+          field += char;
+        }
+      }
+
+      if (final && (field !== '' || row.length > 0)) {
+        row.push(field);
+        output += processRow(row);
+        row = [];
+        field = '';
+      }
+      return output;
+    };
+
+    return new TransformStream({
+      transform(chunk, controller) {
+        const output = processText(decoder.decode(chunk, { stream: true }), false);
+        if (output) {
+          controller.enqueue(encoder.encode(output));
+        }
+      },
+      flush(controller) {
+        const output = processText(decoder.decode(), true);
+        if (output) {
+          controller.enqueue(encoder.encode(output));
+        }
+      }
+    });
+  }
+
+  /**
+   * Chain the streams that filter a part, decompressing and compressing gzip parts
+   *
+   * @param {string} fileFormat - The format of the data (jsonl, csv, tsv)
+   * @param {boolean} gzip - Whether the part is gzip compressed
+   * @returns {Object} - Dictionary with the writable side to write the part to and the readable side with the result
+   */
+  createPipeline(fileFormat, gzip = false) {
+    const stages = gzip ?
+      [new DecompressionStream("gzip"), this.createTransform(fileFormat), new CompressionStream("gzip")] :
+      [this.createTransform(fileFormat)];
+
+    let readable = stages[0].readable;
+    for (const stage of stages.slice(1)) {
+      readable = readable.pipeThrough(stage);
+    }
+    return { writable: stages[0].writable, readable };
+  }
+
+  /**
+   * Wrap a destination so that everything written to it is filtered first
+   *
+   * Closing the returned stream waits until the destination is closed.
+   *
+   * @param {WritableStream} destination - The destination, e.g. a FileSystemWritableFileStream
+   * @param {string} fileFormat - The format of the data (jsonl, csv, tsv)
+   * @param {boolean} gzip - Whether the written part is gzip compressed
+   * @returns {WritableStream} - Stream accepting the original part
+   */
+  createWritable(destination, fileFormat, gzip = false) {
+    const pipeline = this.createPipeline(fileFormat, gzip);
+    const done = pipeline.readable.pipeTo(destination);
+    const writer = pipeline.writable.getWriter();
+
+    return new WritableStream({
+      async write(chunk) {
+        await writer.write(chunk);
+      },
+      async close() {
+        await writer.close();
+        await done;
+      },
+      async abort(reason) {
+        await writer.abort(reason).catch(() => {});
+        await done.catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Filter a part that was downloaded into memory
+   *
+   * @param {ArrayBuffer|Uint8Array|string|Blob} content - The part content
+   * @param {string} fileFormat - The format of the data (jsonl, csv, tsv)
+   * @param {boolean} gzip - Whether the part is gzip compressed
+   * @returns {Promise<ArrayBuffer>} - The filtered part
+   */
+  async filterContent(content, fileFormat, gzip = false) {
+    const pipeline = this.createPipeline(fileFormat, gzip);
+    const [, result] = await Promise.all([
+      new Blob([content]).stream().pipeTo(pipeline.writable),
+      new Response(pipeline.readable).arrayBuffer()
+    ]);
+    return result;
+  }
+}
+
+ExportFilter.OPERATORS = ["equals", "in", "dateRange", "notNull"];
+
+// Export the filter for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { ExportFilter };
+} else {
+  window.ExportFilter = ExportFilter;
+}
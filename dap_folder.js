@@ -0,0 +1,205 @@
+/**
+ * Canvas DAP Folder Saver
+ *
+ * This module saves every part of a job result into one directory chosen
+ * with showDirectoryPicker. Parts are streamed to disk in part order under
+ * consistent file names, parts already saved with the same size are skipped
+ * (so an interrupted download can be resumed), and a manifest describing the
+ * job and its parts is written next to them. An ExportFilter, when given,
+ * trims every part while it is written.
+ */
+
+class FolderSaver {
+  /**
+   * Initialize the folder saver
+   *
+   * @param {DAPClient} client - The DAP client used to get download links and stream files
+   * @param {FileSystemDirectoryHandle} directory - The directory to save into
+   * @param {ExportFilter|null} filter - Column selection and row filters applied to every part (optional)
+   */
+  constructor(client, directory, filter = null) {
+    this.client = client;
+    this.directory = directory;
+    this.filter = filter && filter.isActive() ? filter : null;
+  }
+
+  /**
+   * Format a timestamp for use in a file name (e.g. "20240101T000000Z")
+   *
+   * @param {string|Date} value - The timestamp
+   * @returns {string} - The compact UTC timestamp
+   */
+  static timestampToken(value) {
+    return new Date(value).toISOString().replace(/\.\d+/, '').replace(/[-:]/g, '');
+  }
+
+  /**
+   * Get the file name prefix for the files of a job
+   *
+   * Snapshot parts are named after the table; incremental parts also carry
+   * the time range, so several windows can be saved into the same directory.
+   *
+   * @param {string} table - The table name
+   * @param {Object} jobInfo - Job information for a completed job
+   * @returns {string} - The prefix
+   */
+  static filePrefix(table, jobInfo) {
+    if (jobInfo.since && jobInfo.until) {
+      return `${table}-${FolderSaver.timestampToken(jobInfo.since)}-${FolderSaver.timestampToken(jobInfo.until)}`;
+    }
+    return table;
+  }
+
+  /**
+   * Get the file extension for a part, keeping a ".gz" suffix of the object name
+   *
+   * @param {string} sourceName - The object file name returned by the API
+   * @param {string} fileFormat - The output format (jsonl, csv, tsv, parquet)
+   * @returns {string} - The extension including the leading dot (e.g. ".csv.gz")
+   */
+  static partExtension(sourceName, fileFormat) {
+    const match = (sourceName || '').match(/\.(csv|tsv|jsonl|json|parquet)(\.gz)?$/);
+    if (match) {
+      return match[0];
+    }
+    return `.${fileFormat}${/\.gz\b/.test(sourceName || '') ? '.gz' : ''}`;
+  }
+
+  /**
+   * Get the file name for a part (e.g. "accounts-part-003.csv.gz")
+   *
+   * @param {string} prefix - The file name prefix from filePrefix
+   * @param {number} index - The position of the part (starting at 0)
+   * @param {string} sourceName - The object file name returned by the API
+   * @param {string} fileFormat - The output format
+   * @returns {string} - The file name
+   */
+  static partFilename(prefix, index, sourceName, fileFormat) {
+    return `${prefix}-part-${String(index).padStart(3, '0')}${FolderSaver.partExtension(sourceName, fileFormat)}`;
+  }
+
+  /**
+   * Get the size of a file in the directory
+   *
+   * @param {string} filename - The file name
+   * @returns {Promise<number|null>} - The size in bytes, or null if the file does not exist
+   */
+  async getExistingSize(filename) {
+    try {
+      const handle = await this.directory.getFileHandle(filename);
+      return (await handle.getFile()).size;
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a small file (such as the manifest) to the directory
+   *
+   * @param {string} filename - The file name
+   * @param {string|Blob|ArrayBuffer} content - The file content
+   * @returns {Promise<void>}
+   */
+  async writeFile(filename, content) {
+    const handle = await this.directory.getFileHandle(filename, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(content);
+    await writable.close();
+  }
+
+  /**
+   * Save every part of a completed job into the directory
+   *
+   * Parts are downloaded one after another in part order. A part whose file
+   * already exists with the size reported by the download is skipped, unless
+   * the parts are filtered. The manifest ("<prefix>-manifest.json") is
+   * written once all parts are saved.
+   *
+   * @param {Object} jobInfo - Job information for a completed job (with its objects list)
+   * @param {Object} details - The namespace, table, scope, query and fileFormat of the job
+   * @param {Function|null} onProgress - Called as (index, count, part) while parts are saved; part has filename, status, bytesWritten and totalBytes (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the download (optional)
+   * @returns {Promise<Object>} - The manifest
+   * @throws {Error} - If getting the links, downloading or writing fails
+   */
+  async saveJob(jobInfo, details = {}, onProgress = null, signal = null) {
+    const table = details.table || jobInfo.id;
+    const fileFormat = details.fileFormat || (details.query && details.query.format) || 'csv';
+    const prefix = FolderSaver.filePrefix(table, jobInfo);
+    if (this.filter) {
+      this.filter.checkFormat(fileFormat);
+    }
+
+    const notify = (index, count, part) => {
+      if (onProgress) {
+        try {
+          onProgress(index, count, part);
+        } catch (error) {
+          console.error("Folder progress callback failed:", error);
+        }
+      }
+    };
+
+    const links = await this.client.getJobDownloadLinks(jobInfo, table, signal);
+    const parts = [];
+
+    for (let i = 0; i < links.length; i++) {
+      this.client.throwIfAborted(signal);
+
+      const link = links[i];
+      const filename = FolderSaver.partFilename(prefix, i, link.filename, fileFormat);
+      const existingSize = this.filter ? null : await this.getExistingSize(filename);
+
+      notify(i, links.length, { filename, status: "downloading", bytesWritten: 0, totalBytes: null });
+      const bytes = await this.client.streamFile(link.url, async totalBytes => {
+        if (existingSize !== null && totalBytes !== null && existingSize === totalBytes) {
+          return null;
+        }
+        const handle = await this.directory.getFileHandle(filename, { create: true });
+        const writable = await handle.createWritable();
+        return this.filter ? this.filter.createWritable(writable, fileFormat, /\.gz$/.test(filename)) : writable;
+      }, (bytesWritten, totalBytes) => {
+        notify(i, links.length, { filename, status: "downloading", bytesWritten, totalBytes });
+      }, signal);
+
+      const part = {
+        index: i,
+        filename,
+        objectId: link.id,
+        bytes: bytes === null ? existingSize : this.filter ? await this.getExistingSize(filename) : bytes,
+        status: bytes === null ? "skipped" : "saved"
+      };
+      parts.push(part);
+      notify(i, links.length, { ...part, bytesWritten: part.bytes, totalBytes: part.bytes });
+    }
+
+    const manifest = {
+      version: 1,
+      jobId: jobInfo.id,
+      namespace: details.namespace || null,
+      table,
+      scope: details.scope || null,
+      query: details.query || null,
+      schemaVersion: jobInfo.schema_version ?? null,
+      at: jobInfo.at || null,
+      since: jobInfo.since || null,
+      until: jobInfo.until || null,
+      filter: this.filter ? this.filter.toJSON() : null,
+      savedAt: new Date().toISOString(),
+      parts
+    };
+
+    await this.writeFile(`${prefix}-manifest.json`, JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+}
+
+// Export the saver for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { FolderSaver };
+} else {
+  window.FolderSaver = FolderSaver;
+}
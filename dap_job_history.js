@@ -0,0 +1,143 @@
+/**
+ * Canvas DAP Job History
+ *
+ * This module records the jobs submitted to the DAP API (job ID, table,
+ * query and start time) in local storage, so a job can be found again after
+ * the tab is closed or polling timed out, and its status or results fetched
+ * without submitting the query again.
+ */
+
+class JobHistory {
+  /**
+   * Initialize the job history
+   *
+   * @param {string} storageKey - Local storage key for the history
+   * @param {number} maxEntries - Maximum number of jobs kept (oldest are dropped first)
+   * @param {Storage|null} storage - Storage to use (defaults to window.localStorage when available)
+   */
+  constructor(storageKey = "dap-job-history", maxEntries = 200, storage = null) {
+    this.storageKey = storageKey;
+    this.maxEntries = maxEntries;
+    this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+  }
+
+  /**
+   * Read all entries from storage
+   *
+   * @returns {Array<Object>} - Stored entries, newest first
+   */
+  list() {
+    if (!this.storage) {
+      return [];
+    }
+
+    try {
+      const entries = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.error("Failed to read job history:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Write all entries to storage
+   *
+   * @param {Array<Object>} entries - Entries to store, newest first
+   */
+  save(entries) {
+    if (!this.storage) {
+      return;
+    }
+    this.storage.setItem(this.storageKey, JSON.stringify(entries.slice(0, this.maxEntries)));
+  }
+
+  /**
+   * Get the entry for a job
+   *
+   * @param {string} jobId - The job ID
+   * @returns {Object|null} - The entry, or null if the job is not in the history
+   */
+  get(jobId) {
+    return this.list().find(entry => entry.id === jobId) || null;
+  }
+
+  /**
+   * Record a submitted job
+   *
+   * @param {Object} jobInfo - Job information returned by DAPClient.queryTableData
+   * @param {Object} details - The namespace, table, scope and query the job was submitted with
+   * @returns {Object} - The stored entry
+   */
+  add(jobInfo, details = {}) {
+    const entry = {
+      id: jobInfo.id,
+      namespace: details.namespace || null,
+      table: details.table || null,
+      scope: details.scope || null,
+      query: details.query || null,
+      status: jobInfo.status || "unknown",
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      objectCount: jobInfo.objects ? jobInfo.objects.length : null,
+      expiresAt: jobInfo.expires_at || null,
+      error: null
+    };
+
+    const entries = this.list().filter(existing => existing.id !== entry.id);
+    entries.unshift(entry);
+    this.save(entries);
+    return entry;
+  }
+
+  /**
+   * Update a job with the latest status information
+   *
+   * @param {string} jobId - The job ID
+   * @param {Object} jobInfo - Job information returned by DAPClient.getJobStatus
+   * @returns {Object|null} - The updated entry, or null if the job is not in the history
+   */
+  update(jobId, jobInfo) {
+    const entries = this.list();
+    const entry = entries.find(existing => existing.id === jobId);
+    if (!entry) {
+      return null;
+    }
+
+    entry.status = jobInfo.status || entry.status;
+    entry.updatedAt = new Date().toISOString();
+    if (jobInfo.objects) {
+      entry.objectCount = jobInfo.objects.length;
+    }
+    if (jobInfo.expires_at) {
+      entry.expiresAt = jobInfo.expires_at;
+    }
+    entry.error = jobInfo.error || null;
+
+    this.save(entries);
+    return entry;
+  }
+
+  /**
+   * Remove a job from the history
+   *
+   * @param {string} jobId - The job ID
+   */
+  remove(jobId) {
+    this.save(this.list().filter(entry => entry.id !== jobId));
+  }
+
+  /**
+   * Remove every job from the history
+   */
+  clear() {
+    this.save([]);
+  }
+}
+
+// Export the history for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { JobHistory };
+} else {
+  window.JobHistory = JobHistory;
+}
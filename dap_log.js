@@ -0,0 +1,274 @@
+/**
+ * Canvas DAP Logger
+ *
+ * This module provides the leveled logging used by DAPClient and the proxy.
+ * Every message and logged value passes through redact() first, which masks
+ * credentials, tokens and presigned S3 signatures, so logs can be shared
+ * without leaking secrets. Lines carry a request ID when one is given, so a
+ * client request can be matched with the proxy lines it caused.
+ */
+
+class DAPLogger {
+  /**
+   * Initialize the logger
+   *
+   * @param {string} source - Name shown with every line (e.g. "DAP Client")
+   * @param {string|null} level - Lowest level written: error, warn, info, debug or silent (defaults to defaultLevel())
+   * @param {string} format - "text" for readable console lines, "json" for one JSON object per line
+   * @param {Object} output - Console-like object the lines are written to
+   */
+  constructor(source, level = null, format = "text", output = console) {
+    this.source = source;
+    this.format = format;
+    this.output = output;
+    this.setLevel(level || DAPLogger.defaultLevel());
+  }
+
+  /**
+   * Get the level configured for the environment
+   *
+   * Node reads the DAP_LOG_LEVEL environment variable; browsers read the
+   * "dap-log-level" local storage item, so logging can be turned up from
+   * the developer console without a rebuild.
+   *
+   * @param {string} fallback - Level used when nothing is configured
+   * @returns {string} - The level
+   */
+  static defaultLevel(fallback = "warn") {
+    let level = null;
+    if (typeof process !== 'undefined' && process.env) {
+      level = process.env.DAP_LOG_LEVEL;
+    } else if (typeof localStorage !== 'undefined') {
+      try {
+        level = localStorage.getItem("dap-log-level");
+      } catch (error) {
+        // Storage is not available (e.g. blocked cookies)
+      }
+    }
+    return level && Object.prototype.hasOwnProperty.call(DAPLogger.LEVELS, level.toLowerCase()) ?
+      level.toLowerCase() :
+      fallback;
+  }
+
+  /**
+   * Change the lowest level written
+   *
+   * @param {string} level - error, warn, info, debug or silent
+   * @throws {Error} - If the level is unknown
+   */
+  setLevel(level) {
+    if (!Object.prototype.hasOwnProperty.call(DAPLogger.LEVELS, level)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+  }
+
+  /**
+   * Check whether lines of a level are written
+   *
+   * @param {string} level - The level
+   * @returns {boolean} - True if the level is enabled
+   */
+  isEnabled(level) {
+    return DAPLogger.LEVELS[level] <= DAPLogger.LEVELS[this.level];
+  }
+
+  /**
+   * Create a short random ID for correlating log lines of one request
+   *
+   * @returns {string} - 12 hexadecimal characters
+   */
+  static createRequestId() {
+    const bytes = new Uint8Array(6);
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+      crypto.getRandomValues(bytes);
+    } else {
+      bytes.forEach((value, index) => {
+        bytes[index] = Math.floor(Math.random() * 256);
+      });
+    }
+    return Array.from(bytes, value => value.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Mask secrets in a string
+   *
+   * Masks Basic/Bearer credentials, X-Amz-Signature/Credential/Security-Token
+   * query parameters and token or secret fields in JSON and form bodies.
+   *
+   * @param {string} text - The text
+   * @returns {string} - The text with secrets replaced by [REDACTED]
+   */
+  static redactString(text) {
+    // The auth schemes are matched case-sensitively so words like "basic" in messages stay readable
+    return text
+      .replace(/\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]+/g, '$1 [REDACTED]')
+      .replace(/([?&]X-Amz-(?:Signature|Credential|Security-Token)=)[^&\s"']+/gi, '$1[REDACTED]')
+      .replace(/("?(?:access_token|refresh_token|id_token|client_secret|password)"?\s*[:=]\s*"?)[^"&\s,}]+/gi, '$1[REDACTED]');
+  }
+
+  /**
+   * Make a copy of a value that is safe to log
+   *
+   * Sensitive keys are masked, strings are passed through redactString,
+   * binary data is replaced by its size and long strings and arrays are
+   * shortened.
+   *
+   * @param {*} value - The value
+   * @param {number} depth - Nesting level (used internally)
+   * @returns {*} - The redacted copy
+   */
+  static redact(value, depth = 0) {
+    if (value === null || value === undefined || typeof value === 'number' || typeof value === 'boolean') {
+      return value;
+    }
+    if (typeof value === 'string') {
+      const text = DAPLogger.redactString(value);
+      return text.length > 2000 ? `${text.slice(0, 2000)}... (${text.length} characters)` : text;
+    }
+    if (typeof value === 'bigint' || typeof value === 'function' || typeof value === 'symbol') {
+      return String(value);
+    }
+    if (value instanceof Error) {
+      return { name: value.name, message: DAPLogger.redactString(String(value.message)) };
+    }
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      return `[${value.byteLength} bytes]`;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (depth >= 6) {
+      return '[...]';
+    }
+    if (Array.isArray(value)) {
+      const items = value.slice(0, 50).map(item => DAPLogger.redact(item, depth + 1));
+      if (value.length > 50) {
+        items.push(`... (${value.length} items)`);
+      }
+      return items;
+    }
+    if (typeof value.entries === 'function' && typeof value.get === 'function') {
+      // Headers and Map objects
+      return DAPLogger.redact(Object.fromEntries(value.entries()), depth);
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (DAPLogger.SENSITIVE_KEYS.includes(key.toLowerCase())) {
+        const scheme = typeof item === 'string' ? item.match(/^(Basic|Bearer)\s/i) : null;
+        result[key] = scheme ? `${scheme[1]} [REDACTED]` : '[REDACTED]';
+      } else {
+        result[key] = DAPLogger.redact(item, depth + 1);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Write a line
+   *
+   * @param {string} level - error, warn, info or debug
+   * @param {string} message - The message
+   * @param {*} data - Value logged with the message (optional)
+   * @param {string|null} requestId - ID of the request the line belongs to (optional)
+   */
+  write(level, message, data = null, requestId = null) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const method = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+    const safeMessage = DAPLogger.redactString(String(message));
+
+    if (this.format === 'json') {
+      const line = { time: new Date().toISOString(), level, source: this.source, message: safeMessage };
+      if (requestId) {
+        line.requestId = requestId;
+      }
+      if (data !== null && data !== undefined) {
+        line.data = DAPLogger.redact(data);
+      }
+      this.output[method](JSON.stringify(line));
+      return;
+    }
+
+    const prefix = `[${this.source}]${requestId ? ` [${requestId}]` : ''}`;
+    if (data !== null && data !== undefined) {
+      this.output[method](`${prefix} ${safeMessage}`, DAPLogger.redact(data));
+    } else {
+      this.output[method](`${prefix} ${safeMessage}`);
+    }
+  }
+
+  /**
+   * Write an error line
+   *
+   * @param {string} message - The message
+   * @param {*} data - Value logged with the message, e.g. the error (optional)
+   * @param {string|null} requestId - ID of the request the line belongs to (optional)
+   */
+  error(message, data = null, requestId = null) {
+    this.write('error', message, data, requestId);
+  }
+
+  /**
+   * Write a warning line
+   *
+   * @param {string} message - The message
+   * @param {*} data - Value logged with the message (optional)
+   * @param {string|null} requestId - ID of the request the line belongs to (optional)
+   */
+  warn(message, data = null, requestId = null) {
+    this.write('warn', message, data, requestId);
+  }
+
+  /**
+   * Write an info line
+   *
+   * @param {string} message - The message
+   * @param {*} data - Value logged with the message (optional)
+   * @param {string|null} requestId - ID of the request the line belongs to (optional)
+   */
+  info(message, data = null, requestId = null) {
+    this.write('info', message, data, requestId);
+  }
+
+  /**
+   * Write a debug line
+   *
+   * @param {string} message - The message
+   * @param {*} data - Value logged with the message (optional)
+   * @param {string|null} requestId - ID of the request the line belongs to (optional)
+   */
+  debug(message, data = null, requestId = null) {
+    this.write('debug', message, data, requestId);
+  }
+}
+
+DAPLogger.LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+
+// Keys whose values are always masked, compared in lower case
+DAPLogger.SENSITIVE_KEYS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "access_token",
+  "refresh_token",
+  "id_token",
+  "client_secret",
+  "clientsecret",
+  "password",
+  "x-dap-profile-key",
+  "x-amz-signature",
+  "x-amz-credential",
+  "x-amz-security-token"
+];
+
+// Export the logger for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { DAPLogger };
+} else {
+  window.DAPLogger = DAPLogger;
+}
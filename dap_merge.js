@@ -0,0 +1,259 @@
+/**
+ * Canvas DAP Part Merger
+ *
+ * This module concatenates the parts of a job result into a single output
+ * file. Parts are streamed one after another from the URLs returned by
+ * DAPClient.getDownloadUrls, so the merged file is never held in memory.
+ * CSV and TSV parts keep only the first header row; JSONL parts are joined
+ * line by line. Gzip parts are either decompressed and compressed again as
+ * one stream, kept as a multi-member gzip, or written uncompressed. An
+ * ExportFilter, when given, trims every part before it is merged.
+ */
+
+class PartMerger {
+  /**
+   * Initialize the part merger
+   *
+   * @param {DAPClient} client - The DAP client used to get download links and stream files
+   * @param {string} compression - Output for gzip parts: "gzip" (one gzip stream), "multi-member"
+   *   (one gzip member per part) or "none" (uncompressed)
+   * @param {ExportFilter|null} filter - Column selection and row filters applied to every part (optional)
+   */
+  constructor(client, compression = "gzip", filter = null) {
+    if (!PartMerger.COMPRESSIONS.includes(compression)) {
+      throw new Error(`Unsupported merge compression: ${compression}`);
+    }
+
+    this.client = client;
+    this.compression = compression;
+    this.filter = filter && filter.isActive() ? filter : null;
+  }
+
+  /**
+   * Check whether a part is gzip compressed, judging by its object name
+   *
+   * @param {Object} link - Download link from DAPClient.getJobDownloadLinks
+   * @returns {boolean} - True for ".gz" parts
+   */
+  static isGzipPart(link) {
+    return /\.gz(\b|$)/.test(`${link.filename} ${link.id}`);
+  }
+
+  /**
+   * Get the file name for the merged output (e.g. "accounts.csv.gz")
+   *
+   * @param {string} baseName - File name without extension
+   * @param {string} fileFormat - The output format (jsonl, csv, tsv)
+   * @param {boolean} gzipParts - Whether the parts are gzip compressed
+   * @param {string} compression - The merge compression
+   * @returns {string} - The file name
+   */
+  static outputFilename(baseName, fileFormat, gzipParts, compression = "gzip") {
+    return `${baseName}.${fileFormat}${gzipParts && compression !== "none" ? '.gz' : ''}`;
+  }
+
+  /**
+   * Create a stream that drops everything up to and including the first line break
+   *
+   * @returns {TransformStream} - Byte stream without its first line
+   */
+  static skipFirstLine() {
+    let skipping = true;
+    return new TransformStream({
+      transform(chunk, controller) {
+        if (!skipping) {
+          controller.enqueue(chunk);
+          return;
+        }
+        const newline = chunk.indexOf(0x0A);
+        if (newline !== -1) {
+          skipping = false;
+          if (newline + 1 < chunk.byteLength) {
+            controller.enqueue(chunk.subarray(newline + 1));
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Write every chunk of a stream to a writer
+   *
+   * @param {ReadableStream} stream - The source stream
+   * @param {WritableStreamDefaultWriter} writer - The destination writer (left open)
+   * @param {AbortSignal|null} signal - Signal to stop reading (optional)
+   * @returns {Promise<number|null>} - The last byte written, or null if the stream was empty
+   */
+  async pump(stream, writer, signal = null) {
+    const reader = stream.getReader();
+    let lastByte = null;
+
+    try {
+      for (;;) {
+        this.client.throwIfAborted(signal);
+        const { done, value } = await reader.read();
+        if (done) {
+          return lastByte;
+        }
+        if (value.byteLength > 0) {
+          lastByte = value[value.byteLength - 1];
+          await writer.write(value);
+        }
+      }
+    } catch (error) {
+      await reader.cancel(error).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Read a stream to its end without keeping its data
+   *
+   * @param {ReadableStream} stream - The source stream
+   * @param {AbortSignal|null} signal - Signal to stop reading (optional)
+   * @returns {Promise<number|null>} - The last byte of the stream, or null if it was empty
+   */
+  async readLastByte(stream, signal = null) {
+    return await this.pump(stream, { write: async () => {} }, signal);
+  }
+
+  /**
+   * Compress a stream into one gzip member and write it
+   *
+   * @param {ReadableStream|null} part - The uncompressed data (null to write only the separator)
+   * @param {WritableStreamDefaultWriter} writer - The destination writer (left open)
+   * @param {Uint8Array|null} separator - Bytes to write before the data (optional)
+   * @param {AbortSignal|null} signal - Signal to stop reading (optional)
+   * @returns {Promise<number|null>} - The last byte of the data, or null if there was none
+   */
+  async writeMember(part, writer, separator = null, signal = null) {
+    const member = new CompressionStream("gzip");
+    const memberWriter = member.writable.getWriter();
+    const memberDone = this.pump(member.readable, writer, signal);
+    if (separator) {
+      await memberWriter.write(separator);
+    }
+    const lastByte = part ? await this.pump(part, memberWriter, signal) : null;
+    await memberWriter.close();
+    await memberDone;
+    return lastByte;
+  }
+
+  /**
+   * Merge every part of a completed job into one output
+   *
+   * Parquet parts cannot be concatenated and are rejected. When the parts
+   * are compressed with "multi-member", a part that needs no change (every
+   * JSONL part and the first CSV/TSV part) is copied as it is, unless the
+   * parts are filtered.
+   *
+   * @param {Object} jobInfo - Job information for a completed job (with its objects list)
+   * @param {WritableStream} writable - The destination, e.g. a FileSystemWritableFileStream (closed when done)
+   * @param {string} fileFormat - The output format of the job (jsonl, csv, tsv)
+   * @param {Function|null} onProgress - Called as (index, count, bytesRead, totalBytes) while parts are read (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the merge (optional)
+   * @returns {Promise<Object>} - Dictionary with the number of parts merged and whether the output is gzip compressed
+   * @throws {Error} - If the format cannot be merged or a download or write fails
+   */
+  async mergeJob(jobInfo, writable, fileFormat, onProgress = null, signal = null) {
+    if (fileFormat === "parquet") {
+      await Promise.resolve(writable.abort()).catch(() => {});
+      throw new Error("Parquet parts cannot be merged by concatenation; save them to a folder instead");
+    }
+
+    let links;
+    try {
+      links = await this.client.getJobDownloadLinks(jobInfo, null, signal);
+    } catch (error) {
+      await Promise.resolve(writable.abort(error)).catch(() => {});
+      throw error;
+    }
+
+    const hasHeader = fileFormat === "csv" || fileFormat === "tsv";
+    const gzipParts = links.length > 0 && links.every(link => PartMerger.isGzipPart(link));
+    const compression = gzipParts ? this.compression : "none";
+
+    // With "gzip" every part is written into one compressor in front of the destination
+    let compressor = null;
+    let compressed = null;
+    let writer;
+    if (compression === "gzip") {
+      compressor = new CompressionStream("gzip");
+      compressed = compressor.readable.pipeTo(writable);
+      writer = compressor.writable.getWriter();
+    } else {
+      writer = writable.getWriter();
+    }
+
+    try {
+      let lastByte = null;
+
+      for (let i = 0; i < links.length; i++) {
+        const dropHeader = hasHeader && i > 0;
+        const { body } = await this.client.openDownloadStream(links[i].url, (bytesRead, totalBytes) => {
+          if (onProgress) {
+            onProgress(i, links.length, bytesRead, totalBytes);
+          }
+        }, signal);
+
+        // Keep rows of consecutive parts on separate lines
+        const separator = lastByte !== null && lastByte !== 0x0A ? new Uint8Array([0x0A]) : null;
+
+        if (compression === "multi-member" && !dropHeader && !this.filter) {
+          // The part is already a complete gzip member; the separator goes into a member of its own
+          if (separator) {
+            await this.writeMember(null, writer, separator, signal);
+          }
+          // Decompress a copy only to learn whether the part ends with a newline
+          const [copy, probe] = body.tee();
+          const [, partLastByte] = await Promise.all([
+            this.pump(copy, writer, signal),
+            this.readLastByte(probe.pipeThrough(new DecompressionStream("gzip")), signal)
+          ]);
+          lastByte = partLastByte ?? lastByte;
+          continue;
+        }
+
+        let part = PartMerger.isGzipPart(links[i]) ? body.pipeThrough(new DecompressionStream("gzip")) : body;
+        if (this.filter) {
+          part = part.pipeThrough(this.filter.createTransform(fileFormat));
+        }
+        if (dropHeader) {
+          part = part.pipeThrough(PartMerger.skipFirstLine());
+        }
+
+        if (compression === "multi-member") {
+          lastByte = await this.writeMember(part, writer, separator, signal) ?? lastByte;
+        } else {
+          if (separator) {
+            await writer.write(separator);
+          }
+          lastByte = await this.pump(part, writer, signal) ?? lastByte;
+        }
+      }
+
+      await writer.close();
+      if (compressed) {
+        await compressed;
+      }
+    } catch (error) {
+      await writer.abort(error).catch(() => {});
+      if (compressed) {
+        await compressed.catch(() => {});
+      }
+      throw error;
+    }
+
+    this.client.log(`Merged ${links.length} parts of job ${jobInfo.id}`);
+    return { parts: links.length, gzip: compression !== "none" };
+  }
+}
+
+PartMerger.COMPRESSIONS = ["gzip", "multi-member", "none"];
+
+// Export the merger for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { PartMerger };
+} else {
+  window.PartMerger = PartMerger;
+}
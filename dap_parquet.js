@@ -0,0 +1,392 @@
+/**
+ * Canvas DAP Parquet Writer
+ *
+ * This module writes Apache Parquet files to a writable stream without any
+ * external library. Rows are buffered into row groups; each column of a row
+ * group is written as one PLAIN-encoded data page (gzip compressed with
+ * CompressionStream), and the Thrift-encoded file metadata is written as the
+ * footer. All columns are optional (nullable) and flat.
+ */
+
+class ParquetWriter {
+  /**
+   * Initialize the Parquet writer
+   *
+   * @param {WritableStream} writable - The destination, e.g. a FileSystemWritableFileStream (closed by close())
+   * @param {Array<Object>} columns - List of { name, type } with type "integer", "number", "boolean", "timestamp" or "string"
+   * @param {number} rowGroupSize - Number of rows buffered per row group
+   */
+  constructor(writable, columns, rowGroupSize = 10000) {
+    this.writer = writable.getWriter();
+    this.encoder = new TextEncoder();
+    this.columns = columns.map(column => ({
+      name: column.name,
+      type: ParquetWriter.TYPES[column.type] ? column.type : "string"
+    }));
+    this.rowGroupSize = rowGroupSize;
+    this.rows = [];
+    this.rowGroups = [];
+    this.totalRows = 0;
+    this.offset = 0;
+    this.started = false;
+  }
+
+  /**
+   * Get the Parquet column type for a DAP schema column
+   *
+   * @param {Object} column - Column node from DAPSchema.buildColumnTree
+   * @returns {string} - "integer", "number", "boolean", "timestamp" or "string"
+   */
+  static columnType(column) {
+    if (!column) {
+      return "string";
+    }
+    if (column.type === "string" && column.format === "date-time") {
+      return "timestamp";
+    }
+    return ["integer", "number", "boolean"].includes(column.type) ? column.type : "string";
+  }
+
+  /**
+   * Append an unsigned LEB128 varint
+   *
+   * @param {Array<number>} bytes - The output bytes
+   * @param {number|bigint} value - The value
+   */
+  static pushVarint(bytes, value) {
+    let n = BigInt(value);
+    while (n >= 0x80n) {
+      bytes.push(Number(n & 0x7Fn) | 0x80);
+      n >>= 7n;
+    }
+    bytes.push(Number(n));
+  }
+
+  /**
+   * Append a zigzag-encoded varint (Thrift compact integers)
+   *
+   * @param {Array<number>} bytes - The output bytes
+   * @param {number|bigint} value - The signed value
+   */
+  static pushZigzag(bytes, value) {
+    const n = BigInt(value);
+    ParquetWriter.pushVarint(bytes, n >= 0n ? n << 1n : ((-n) << 1n) - 1n);
+  }
+
+  /**
+   * Append a Thrift compact protocol struct
+   *
+   * Fields are given as [id, type, value, elementType] with type "i32",
+   * "i64", "string", "struct" or "list"; fields with a null value are left
+   * out. Struct values and list elements of type "struct" are field lists.
+   *
+   * @param {Array<number>} bytes - The output bytes
+   * @param {Array<Array>} fields - The fields, in increasing id order
+   */
+  static pushStruct(bytes, fields) {
+    const typeCodes = { i32: 5, i64: 6, string: 8, list: 9, struct: 12 };
+    let lastId = 0;
+
+    const pushValue = (type, value) => {
+      if (type === "i32" || type === "i64") {
+        ParquetWriter.pushZigzag(bytes, value);
+      } else if (type === "string") {
+        const encoded = new TextEncoder().encode(value);
+        ParquetWriter.pushVarint(bytes, encoded.length);
+        encoded.forEach(byte => bytes.push(byte));
+      } else if (type === "struct") {
+        ParquetWriter.pushStruct(bytes, value);
+      }
+    };
+
+    for (const [id, type, value, elementType] of fields) {
+      if (value === null || value === undefined) {
+        continue;
+      }
+      bytes.push(((id - lastId) << 4) | typeCodes[type]);
+      lastId = id;
+
+      if (type === "list") {
+        if (value.length < 15) {
+          bytes.push((value.length << 4) | typeCodes[elementType]);
+        } else {
+          bytes.push(0xF0 | typeCodes[elementType]);
+          ParquetWriter.pushVarint(bytes, value.length);
+        }
+        value.forEach(element => pushValue(elementType, element));
+      } else {
+        pushValue(type, value);
+      }
+    }
+    bytes.push(0);
+  }
+
+  /**
+   * Convert a value for a column, or null if it is empty or invalid
+   *
+   * @param {*} value - The value
+   * @param {string} type - The column type
+   * @returns {*} - The converted value
+   */
+  static convertValue(value, type) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    switch (type) {
+      case "integer": {
+        const number = Number(value);
+        return Number.isInteger(number) ? BigInt(number) : null;
+      }
+      case "number": {
+        const number = Number(value);
+        return isFinite(number) ? number : null;
+      }
+      case "boolean":
+        return value === true || value === "true" ? true : value === false || value === "false" ? false : null;
+      case "timestamp": {
+        const time = new Date(value).getTime();
+        return isNaN(time) ? null : BigInt(time);
+      }
+      default:
+        return typeof value === "object" ? JSON.stringify(value) : String(value);
+    }
+  }
+
+  /**
+   * Encode the values of one column as a data page body (definition levels and PLAIN values)
+   *
+   * @param {Array<*>} values - The converted values, null for missing ones
+   * @param {string} type - The column type
+   * @returns {Uint8Array} - The page body
+   */
+  encodeColumn(values, type) {
+    // Definition levels (1 = present) as one bit-packed run, prefixed with its length
+    const groups = Math.ceil(values.length / 8);
+    const levels = [];
+    ParquetWriter.pushVarint(levels, (groups << 1) | 1);
+    const bits = new Uint8Array(groups);
+    values.forEach((value, index) => {
+      if (value !== null) {
+        bits[index >> 3] |= 1 << (index & 7);
+      }
+    });
+
+    const present = values.filter(value => value !== null);
+    let data;
+    if (type === "integer" || type === "timestamp" || type === "number") {
+      const view = new DataView(new ArrayBuffer(present.length * 8));
+      present.forEach((value, index) => {
+        if (type === "number") {
+          view.setFloat64(index * 8, value, true);
+        } else {
+          view.setBigInt64(index * 8, value, true);
+        }
+      });
+      data = new Uint8Array(view.buffer);
+    } else if (type === "boolean") {
+      data = new Uint8Array(Math.ceil(present.length / 8));
+      present.forEach((value, index) => {
+        if (value) {
+          data[index >> 3] |= 1 << (index & 7);
+        }
+      });
+    } else {
+      const encoded = present.map(value => this.encoder.encode(value));
+      data = new Uint8Array(encoded.reduce((total, bytes) => total + 4 + bytes.length, 0));
+      const view = new DataView(data.buffer);
+      let position = 0;
+      for (const bytes of encoded) {
+        view.setUint32(position, bytes.length, true);
+        data.set(bytes, position + 4);
+        position += 4 + bytes.length;
+      }
+    }
+
+    const levelLength = levels.length + bits.length;
+    const page = new Uint8Array(4 + levelLength + data.length);
+    new DataView(page.buffer).setUint32(0, levelLength, true);
+    page.set(levels, 4);
+    page.set(bits, 4 + levels.length);
+    page.set(data, 4 + levelLength);
+    return page;
+  }
+
+  /**
+   * Gzip compress bytes with CompressionStream
+   *
+   * @param {Uint8Array} bytes - The bytes
+   * @returns {Promise<Uint8Array>} - The compressed bytes
+   */
+  static async gzip(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("gzip"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Write bytes to the destination
+   *
+   * @param {Uint8Array} bytes - The bytes
+   * @returns {Promise<void>}
+   */
+  async writeRaw(bytes) {
+    await this.writer.write(bytes);
+    this.offset += bytes.byteLength;
+  }
+
+  /**
+   * Add a row
+   *
+   * @param {Array<*>} values - The values, in column order
+   * @returns {Promise<void>}
+   */
+  async writeRow(values) {
+    this.rows.push(values);
+    if (this.rows.length >= this.rowGroupSize) {
+      await this.flushRowGroup();
+    }
+  }
+
+  /**
+   * Write the buffered rows as a row group
+   *
+   * @returns {Promise<void>}
+   */
+  async flushRowGroup() {
+    if (this.rows.length === 0) {
+      return;
+    }
+    if (!this.started) {
+      await this.writeRaw(this.encoder.encode("PAR1"));
+      this.started = true;
+    }
+
+    const rowCount = this.rows.length;
+    const chunks = [];
+    let totalSize = 0;
+
+    for (let c = 0; c < this.columns.length; c++) {
+      const column = this.columns[c];
+      const values = this.rows.map(row => ParquetWriter.convertValue(row[c], column.type));
+      const page = this.encodeColumn(values, column.type);
+      const compressed = await ParquetWriter.gzip(page);
+
+      const header = [];
+      ParquetWriter.pushStruct(header, [
+        [1, "i32", 0],                      // type: DATA_PAGE
+        [2, "i32", page.length],            // uncompressed_page_size
+        [3, "i32", compressed.length],      // compressed_page_size
+        [5, "struct", [                     // data_page_header
+          [1, "i32", rowCount],             // num_values
+          [2, "i32", 0],                    // encoding: PLAIN
+          [3, "i32", 3],                    // definition_level_encoding: RLE
+          [4, "i32", 3]                     // repetition_level_encoding: RLE
+        ]]
+      ]);
+
+      const pageOffset = this.offset;
+      await this.writeRaw(new Uint8Array(header));
+      await this.writeRaw(compressed);
+
+      const chunkSize = header.length + compressed.length;
+      const uncompressedSize = header.length + page.length;
+      totalSize += uncompressedSize;
+      chunks.push({
+        column,
+        pageOffset,
+        chunkSize,
+        uncompressedSize,
+        endOffset: this.offset
+      });
+    }
+
+    this.rowGroups.push({ chunks, totalSize, rowCount });
+    this.totalRows += rowCount;
+    this.rows = [];
+  }
+
+  /**
+   * Write the remaining rows and the file metadata, and close the destination
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flushRowGroup();
+    if (!this.started) {
+      await this.writeRaw(this.encoder.encode("PAR1"));
+      this.started = true;
+    }
+
+    const schema = [[
+      [4, "string", "schema"],              // name
+      [5, "i32", this.columns.length]       // num_children
+    ]].concat(this.columns.map(column => {
+      const type = ParquetWriter.TYPES[column.type];
+      return [
+        [1, "i32", type.physical],          // type
+        [3, "i32", 1],                      // repetition_type: OPTIONAL
+        [4, "string", column.name],         // name
+        [6, "i32", type.converted]          // converted_type
+      ];
+    }));
+
+    const rowGroups = this.rowGroups.map(group => [
+      [1, "list", group.chunks.map(chunk => [   // columns
+        [2, "i64", chunk.endOffset],            // file_offset
+        [3, "struct", [                         // meta_data
+          [1, "i32", ParquetWriter.TYPES[chunk.column.type].physical],
+          [2, "list", [0, 3], "i32"],           // encodings: PLAIN, RLE
+          [3, "list", [chunk.column.name], "string"],
+          [4, "i32", 2],                        // codec: GZIP
+          [5, "i64", group.rowCount],           // num_values
+          [6, "i64", chunk.uncompressedSize],   // total_uncompressed_size
+          [7, "i64", chunk.chunkSize],          // total_compressed_size
+          [9, "i64", chunk.pageOffset]          // data_page_offset
+        ]]
+      ]), "struct"],
+      [2, "i64", group.totalSize],              // total_byte_size
+      [3, "i64", group.rowCount]                // num_rows
+    ]);
+
+    const footer = [];
+    ParquetWriter.pushStruct(footer, [
+      [1, "i32", 1],                            // version
+      [2, "list", schema, "struct"],
+      [3, "i64", this.totalRows],               // num_rows
+      [4, "list", rowGroups, "struct"],
+      [6, "string", "Canvas DAP Web App"]       // created_by
+    ]);
+
+    const length = new DataView(new ArrayBuffer(4));
+    length.setUint32(0, footer.length, true);
+    await this.writeRaw(new Uint8Array(footer));
+    await this.writeRaw(new Uint8Array(length.buffer));
+    await this.writeRaw(this.encoder.encode("PAR1"));
+    await this.writer.close();
+  }
+
+  /**
+   * Discard the file (e.g. when the conversion fails or is cancelled)
+   *
+   * @param {*} reason - The reason passed on to the destination
+   * @returns {Promise<void>}
+   */
+  async abort(reason) {
+    await this.writer.abort(reason).catch(() => {});
+  }
+}
+
+// Physical and converted types: BOOLEAN, INT64, DOUBLE, INT64 (TIMESTAMP_MILLIS), BYTE_ARRAY (UTF8)
+ParquetWriter.TYPES = {
+  boolean: { physical: 0, converted: null },
+  integer: { physical: 2, converted: null },
+  number: { physical: 5, converted: null },
+  timestamp: { physical: 2, converted: 9 },
+  string: { physical: 6, converted: 0 }
+};
+
+// Export the writer for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { ParquetWriter };
+} else {
+  window.ParquetWriter = ParquetWriter;
+}
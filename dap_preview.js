@@ -0,0 +1,290 @@
+/**
+ * Canvas DAP Data Preview
+ *
+ * This module reads the first rows of a job result without downloading the
+ * whole file: the first part is streamed, decompressed with
+ * DecompressionStream and parsed until enough JSONL, CSV or TSV rows are
+ * available. The rows can then be sorted and paged, with columns named and
+ * typed after the table schema.
+ */
+
+const previewSchemaHelpers = typeof window !== 'undefined' && window.DAPSchema ?
+  window.DAPSchema :
+  require('./dap_schema.js').DAPSchema;
+
+class DataPreview {
+  /**
+   * Initialize the data preview
+   *
+   * @param {DAPClient} client - The DAP client used to get download links and stream files
+   * @param {number} pageSize - Number of rows per page
+   */
+  constructor(client, pageSize = 25) {
+    this.client = client;
+    this.pageSize = pageSize;
+    this.columns = [];
+    this.rows = [];
+    this.sortKey = null;
+    this.sortDirection = 1;
+  }
+
+  /**
+   * Parse delimited text (CSV or TSV) into rows of fields
+   *
+   * Quoted fields may contain delimiters, line breaks and doubled quotes.
+   *
+   * @param {string} text - The text to parse
+   * @param {string} delimiter - The field delimiter ("," or "\t")
+   * @param {boolean} complete - Whether the text is the whole file (otherwise the last, possibly partial, row is dropped)
+   * @returns {Array<Array<string>>} - The parsed rows
+   */
+  static parseDelimited(text, delimiter = ",", complete = true) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (complete && (field !== '' || row.length > 0)) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Parse the first rows of a JSONL, CSV or TSV text
+   *
+   * @param {string} text - The text read so far
+   * @param {string} fileFormat - The file format (jsonl, csv, tsv)
+   * @param {number} maxRows - Maximum number of rows to return
+   * @param {boolean} complete - Whether the text is the whole file
+   * @returns {Object} - Dictionary with the CSV/TSV headers (or null for JSONL) and the rows as objects keyed by column
+   */
+  static parseRows(text, fileFormat, maxRows, complete = true) {
+    if (fileFormat === "jsonl") {
+      let lines = text.split('\n');
+      if (!complete) {
+        lines = lines.slice(0, -1);
+      }
+      const rows = lines
+        .filter(line => line.trim() !== '')
+        .slice(0, maxRows)
+        .map(line => previewSchemaHelpers.flattenRecord(JSON.parse(line)));
+      return { headers: null, rows };
+    }
+
+    const records = DataPreview.parseDelimited(text, fileFormat === "tsv" ? "\t" : ",", complete);
+    const headers = records.shift() || [];
+    const rows = records
+      .filter(record => record.length > 1 || record[0] !== '')
+      .slice(0, maxRows)
+      .map(record => Object.fromEntries(headers.map((header, index) => [header, record[index] ?? null])));
+    return { headers, rows };
+  }
+
+  /**
+   * Build the preview columns from the table schema and the parsed data
+   *
+   * Schema columns come first, in schema order; data columns that are not
+   * in the schema are added after them. CSV/TSV headers may use either the
+   * full path ("value.name") or the name without its section ("name").
+   *
+   * @param {Object|null} schemaResponse - The response from DAPClient.getTableSchema (optional)
+   * @param {Array<string>|null} headers - CSV/TSV headers, or null for JSONL
+   * @param {Array<Object>} rows - The parsed rows
+   * @returns {Array<Object>} - List of { key, label, type, description }
+   */
+  static buildColumns(schemaResponse, headers, rows) {
+    const dataKeys = headers ? [...headers] : [];
+    if (!headers) {
+      rows.forEach(row => Object.keys(row).forEach(key => {
+        if (!dataKeys.includes(key)) {
+          dataKeys.push(key);
+        }
+      }));
+    }
+
+    const schemaColumns = schemaResponse ?
+      previewSchemaHelpers.flattenColumns(previewSchemaHelpers.buildColumnTree(schemaResponse)) :
+      [];
+    const columns = [];
+    const used = new Set();
+
+    for (const column of schemaColumns) {
+      const shortName = column.path.replace(/^(key|value)\./, '');
+      const key = [column.path, shortName].find(candidate => dataKeys.includes(candidate));
+      if (!key || used.has(key)) {
+        continue;
+      }
+      used.add(key);
+      columns.push({
+        key,
+        label: column.path,
+        type: column.type,
+        description: column.description
+      });
+    }
+
+    dataKeys.filter(key => !used.has(key)).forEach(key => {
+      columns.push({ key, label: key, type: null, description: '' });
+    });
+    return columns;
+  }
+
+  /**
+   * Read the first rows of a completed job
+   *
+   * Only the first part is read, and only as far as needed for maxRows rows
+   * (capped at maxBytes of text); the rest of the download is cancelled.
+   *
+   * @param {Object} jobInfo - Job information for a completed job (with its objects list)
+   * @param {string} fileFormat - The output format of the job (jsonl, csv, tsv)
+   * @param {Object|null} schemaResponse - The response from DAPClient.getTableSchema, for column names and types (optional)
+   * @param {number} maxRows - Maximum number of rows to read
+   * @param {AbortSignal|null} signal - Signal to cancel the download (optional)
+   * @param {number} maxBytes - Maximum amount of text to read
+   * @returns {Promise<Object>} - Dictionary with the part name, the number of parts, the columns and the rows
+   * @throws {Error} - If the format cannot be previewed or reading fails
+   */
+  async load(jobInfo, fileFormat, schemaResponse = null, maxRows = 100, signal = null, maxBytes = 16 * 1024 * 1024) {
+    if (fileFormat === "parquet") {
+      throw new Error("Parquet files cannot be previewed");
+    }
+
+    const links = await this.client.getJobDownloadLinks(jobInfo, null, signal);
+    if (links.length === 0) {
+      this.columns = DataPreview.buildColumns(schemaResponse, null, []);
+      this.rows = [];
+      return { partName: null, parts: 0, columns: this.columns, rows: this.rows };
+    }
+
+    const { body } = await this.client.openDownloadStream(links[0].url, null, signal);
+    const gzip = /\.gz(\b|$)/.test(`${links[0].filename} ${links[0].id}`);
+    const reader = (gzip ? body.pipeThrough(new DecompressionStream("gzip")) : body)
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+
+    let text = '';
+    let lineCount = 0;
+    let complete = false;
+    let parsed = { headers: null, rows: [] };
+    try {
+      for (;;) {
+        this.client.throwIfAborted(signal);
+        const { done, value } = await reader.read();
+        if (done) {
+          complete = true;
+          break;
+        }
+        text += value;
+        lineCount += (value.match(/\n/g) || []).length;
+
+        // Only parse once there could be enough lines for the requested rows
+        if (lineCount > maxRows || text.length >= maxBytes) {
+          parsed = DataPreview.parseRows(text, fileFormat, maxRows, false);
+          if (parsed.rows.length >= maxRows || text.length >= maxBytes) {
+            break;
+          }
+        }
+      }
+    } finally {
+      if (!complete) {
+        await reader.cancel().catch(() => {});
+      }
+    }
+
+    if (complete) {
+      parsed = DataPreview.parseRows(text, fileFormat, maxRows, true);
+    }
+
+    this.columns = DataPreview.buildColumns(schemaResponse, parsed.headers, parsed.rows);
+    this.rows = parsed.rows;
+    this.sortKey = null;
+    this.sortDirection = 1;
+    return { partName: links[0].filename, parts: links.length, columns: this.columns, rows: this.rows };
+  }
+
+  /**
+   * Sort the rows by a column, toggling the direction when sorting by the same column again
+   *
+   * Numeric columns are compared as numbers; empty values always sort last.
+   *
+   * @param {string} key - The column key
+   */
+  sortBy(key) {
+    this.sortDirection = this.sortKey === key ? -this.sortDirection : 1;
+    this.sortKey = key;
+
+    const column = this.columns.find(candidate => candidate.key === key);
+    const numeric = column && (column.type === "integer" || column.type === "number");
+    const isEmpty = value => value === null || value === undefined || value === '';
+
+    this.rows.sort((a, b) => {
+      const left = a[key];
+      const right = b[key];
+      if (isEmpty(left) || isEmpty(right)) {
+        return isEmpty(left) - isEmpty(right);
+      }
+      const order = numeric ?
+        Number(left) - Number(right) :
+        String(left).localeCompare(String(right), undefined, { numeric: true });
+      return order * this.sortDirection;
+    });
+  }
+
+  /**
+   * Get the number of pages
+   *
+   * @returns {number} - The page count (at least 1)
+   */
+  pageCount() {
+    return Math.max(1, Math.ceil(this.rows.length / this.pageSize));
+  }
+
+  /**
+   * Get the rows of a page
+   *
+   * @param {number} page - The page index (starting at 0)
+   * @returns {Array<Object>} - The rows on the page
+   */
+  getPage(page) {
+    return this.rows.slice(page * this.pageSize, (page + 1) * this.pageSize);
+  }
+}
+
+// Export the preview for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { DataPreview };
+} else {
+  window.DataPreview = DataPreview;
+}
@@ -0,0 +1,245 @@
+/**
+ * Canvas DAP Credential Profiles
+ *
+ * This module holds the named credential profiles the proxy (api/proxy.js)
+ * logs in with, so a browser only sends a profile name and the profile's
+ * access key and never sees the client secret. It runs on the server only
+ * and is not loaded by the pages.
+ *
+ * Profiles come from environment variables (DAP_PROFILE_<NAME>_CLIENT_ID,
+ * DAP_PROFILE_<NAME>_CLIENT_SECRET, DAP_PROFILE_<NAME>_ACCESS_KEY and
+ * optionally DAP_PROFILE_<NAME>_LABEL) and from a profile file encrypted
+ * with AES-256-GCM (DAP_PROXY_PROFILES_FILE, decrypted with the
+ * DAP_PROXY_PROFILES_KEY passphrase). The file is created with
+ * "dap-web encrypt-profiles".
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+class CredentialProfiles {
+  /**
+   * Initialize the profiles
+   *
+   * @param {Object} profiles - Dictionary mapping profile names to { clientId, clientSecret, accessKey, label }
+   * @throws {Error} - If a name is invalid or a profile lacks its client ID, secret or access key
+   */
+  constructor(profiles = {}) {
+    this.profiles = new Map();
+    Object.entries(profiles).forEach(([name, profile]) => this.add(name, profile));
+  }
+
+  /**
+   * Normalize a profile name to lower case with hyphens
+   *
+   * @param {string} name - The profile name
+   * @returns {string} - The normalized name
+   * @throws {Error} - If the name is not 1-64 letters, digits, hyphens or underscores
+   */
+  static normalizeName(name) {
+    const normalized = String(name || '').trim().toLowerCase().replace(/_/g, '-');
+    if (!/^[a-z0-9][a-z0-9-]{0,63}$/.test(normalized)) {
+      throw new Error(`Invalid credential profile name: ${name}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Add a profile, replacing one with the same name
+   *
+   * The access key is what a browser has to send to use the profile, so
+   * it must be long enough not to be guessed.
+   *
+   * @param {string} name - The profile name
+   * @param {Object} profile - Dictionary with clientId, clientSecret, accessKey and an optional label
+   * @throws {Error} - If the name is invalid, the client ID or secret is missing or the access key is too short
+   */
+  add(name, { clientId, clientSecret, accessKey, label = null } = {}) {
+    const normalized = CredentialProfiles.normalizeName(name);
+    if (!clientId || !clientSecret) {
+      throw new Error(`Credential profile ${normalized} needs a client ID and a client secret`);
+    }
+    if (typeof accessKey !== 'string' || accessKey.length < CredentialProfiles.MIN_ACCESS_KEY_LENGTH) {
+      throw new Error(`Credential profile ${normalized} needs an access key of at least ${CredentialProfiles.MIN_ACCESS_KEY_LENGTH} characters`);
+    }
+    this.profiles.set(normalized, { clientId, clientSecret, accessKey, label: label || null });
+  }
+
+  /**
+   * Check whether a profile exists
+   *
+   * @param {string} name - The profile name
+   * @returns {boolean} - True if the profile exists
+   */
+  has(name) {
+    try {
+      return this.profiles.has(CredentialProfiles.normalizeName(name));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get a profile
+   *
+   * @param {string} name - The profile name
+   * @returns {Object|null} - Dictionary with clientId, clientSecret, accessKey and label, or null if unknown
+   */
+  get(name) {
+    return this.has(name) ? this.profiles.get(CredentialProfiles.normalizeName(name)) : null;
+  }
+
+  /**
+   * Check the access key sent for a profile
+   *
+   * The keys are compared as SHA-256 digests in constant time, so the
+   * response time does not reveal how much of a key was right.
+   *
+   * @param {string} name - The profile name
+   * @param {string} accessKey - The access key sent by the browser
+   * @returns {boolean} - True if the profile exists and the access key matches
+   */
+  checkAccess(name, accessKey) {
+    const profile = this.get(name);
+    if (!profile || typeof accessKey !== 'string' || !accessKey) {
+      return false;
+    }
+    const digest = value => crypto.createHash('sha256').update(value, 'utf8').digest();
+    return crypto.timingSafeEqual(digest(accessKey), digest(profile.accessKey));
+  }
+
+  /**
+   * List the profiles without their credentials
+   *
+   * @returns {Array<Object>} - List of { name, label }, sorted by name
+   */
+  list() {
+    return Array.from(this.profiles.entries())
+      .map(([name, profile]) => ({ name, label: profile.label || name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Number of profiles
+   *
+   * @returns {number} - The number of profiles
+   */
+  get size() {
+    return this.profiles.size;
+  }
+
+  /**
+   * Load the profiles configured in the environment
+   *
+   * Profiles from environment variables replace profiles of the same name
+   * in the encrypted file.
+   *
+   * @param {Object} env - The environment variables (defaults to process.env)
+   * @returns {CredentialProfiles} - The profiles (empty when none are configured)
+   * @throws {Error} - If the profile file cannot be read or decrypted, or a profile is incomplete
+   */
+  static fromEnvironment(env = process.env) {
+    const profiles = new CredentialProfiles();
+
+    if (env.DAP_PROXY_PROFILES_FILE) {
+      if (!env.DAP_PROXY_PROFILES_KEY) {
+        throw new Error("DAP_PROXY_PROFILES_FILE is set but DAP_PROXY_PROFILES_KEY is not");
+      }
+      const encrypted = fs.readFileSync(env.DAP_PROXY_PROFILES_FILE, 'utf8');
+      const stored = CredentialProfiles.decrypt(encrypted, env.DAP_PROXY_PROFILES_KEY);
+      Object.entries(stored).forEach(([name, profile]) => profiles.add(name, profile));
+    }
+
+    Object.keys(env).forEach(key => {
+      const match = key.match(/^DAP_PROFILE_(.+)_CLIENT_ID$/);
+      if (match) {
+        profiles.add(match[1], {
+          clientId: env[key],
+          clientSecret: env[`DAP_PROFILE_${match[1]}_CLIENT_SECRET`],
+          accessKey: env[`DAP_PROFILE_${match[1]}_ACCESS_KEY`],
+          label: env[`DAP_PROFILE_${match[1]}_LABEL`]
+        });
+      }
+    });
+
+    return profiles;
+  }
+
+  /**
+   * Derive the encryption key from a passphrase
+   *
+   * @param {string} passphrase - The passphrase
+   * @param {Buffer} salt - Random salt stored with the encrypted profiles
+   * @returns {Buffer} - A 256-bit key
+   */
+  static deriveKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, 32);
+  }
+
+  /**
+   * Encrypt profiles for the profile file
+   *
+   * @param {Object} profiles - Dictionary mapping profile names to { clientId, clientSecret, accessKey, label }
+   * @param {string} passphrase - The passphrase (DAP_PROXY_PROFILES_KEY)
+   * @returns {string} - JSON with the salt, IV, authentication tag and ciphertext, base64 encoded
+   * @throws {Error} - If a profile is invalid
+   */
+  static encrypt(profiles, passphrase) {
+    if (!passphrase) {
+      throw new Error("A passphrase is required to encrypt credential profiles");
+    }
+    // Validate before anything is written
+    new CredentialProfiles(profiles);
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', CredentialProfiles.deriveKey(passphrase, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(profiles), 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+      version: 1,
+      algorithm: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, null, 2);
+  }
+
+  /**
+   * Decrypt the contents of a profile file
+   *
+   * @param {string} text - The file contents written by encrypt()
+   * @param {string} passphrase - The passphrase (DAP_PROXY_PROFILES_KEY)
+   * @returns {Object} - Dictionary mapping profile names to { clientId, clientSecret, accessKey, label }
+   * @throws {Error} - If the file is not a profile file, the passphrase is wrong or the file was changed
+   */
+  static decrypt(text, passphrase) {
+    let stored;
+    try {
+      stored = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The credential profile file is not valid JSON");
+    }
+    if (!stored || stored.version !== 1 || stored.algorithm !== 'aes-256-gcm' || stored.kdf !== 'scrypt') {
+      throw new Error("The credential profile file has an unsupported format");
+    }
+
+    try {
+      const key = CredentialProfiles.deriveKey(passphrase, Buffer.from(stored.salt, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+      const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+      return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      // GCM fails the same way for a wrong passphrase and for a changed file
+      throw new Error("Cannot decrypt the credential profile file: wrong DAP_PROXY_PROFILES_KEY or damaged file");
+    }
+  }
+}
+
+CredentialProfiles.MIN_ACCESS_KEY_LENGTH = 16;
+
+// Export the profiles for the proxy and the command-line tool
+module.exports = { CredentialProfiles };
@@ -0,0 +1,355 @@
+/**
+ * Canvas DAP Schema Utilities
+ *
+ * This module turns the JSON schema returned by DAPClient.getTableSchema into
+ * a column tree that can be displayed, searched and exported as a JSON Schema
+ * document or a Markdown data dictionary.
+ */
+
+class DAPSchema {
+  /**
+   * Get the JSON schema body from a getTableSchema response
+   *
+   * @param {Object} schemaResponse - The response from DAPClient.getTableSchema
+   * @returns {Object} - The JSON schema for the table rows
+   */
+  static getSchemaBody(schemaResponse) {
+    if (!schemaResponse) {
+      return {};
+    }
+    return schemaResponse.schema || schemaResponse;
+  }
+
+  /**
+   * Resolve a local "$ref" (e.g. "#/definitions/Foo") against the schema root
+   *
+   * @param {Object} node - The schema node
+   * @param {Object} root - The schema root
+   * @returns {Object} - The referenced node, or the node itself
+   */
+  static resolveRef(node, root) {
+    if (!node || typeof node.$ref !== 'string' || !node.$ref.startsWith('#/')) {
+      return node;
+    }
+
+    let target = root;
+    for (const part of node.$ref.slice(2).split('/')) {
+      target = target ? target[part] : undefined;
+    }
+    return target ? { ...target, ...node, $ref: undefined } : node;
+  }
+
+  /**
+   * Describe the type of a schema node
+   *
+   * Handles "type" arrays containing "null" as well as "oneOf"/"anyOf"
+   * alternatives where one of the options is the null type.
+   *
+   * @param {Object} node - The schema node
+   * @param {Object} root - The schema root
+   * @returns {Object} - The node (with alternatives collapsed), its type and whether it allows null
+   */
+  static describeType(node, root) {
+    node = DAPSchema.resolveRef(node, root) || {};
+    let nullable = false;
+
+    const alternatives = node.oneOf || node.anyOf;
+    if (Array.isArray(alternatives)) {
+      const options = alternatives.map(option => DAPSchema.resolveRef(option, root) || {});
+      const nonNull = options.filter(option => option.type !== 'null');
+      nullable = nonNull.length < options.length;
+      if (nonNull.length === 1) {
+        node = { ...nonNull[0], description: node.description || nonNull[0].description };
+      }
+    }
+
+    let type = node.type;
+    if (Array.isArray(type)) {
+      nullable = nullable || type.includes('null');
+      const nonNullTypes = type.filter(t => t !== 'null');
+      type = nonNullTypes.length === 1 ? nonNullTypes[0] : nonNullTypes.join('|');
+    }
+
+    if (!type) {
+      if (node.properties) {
+        type = 'object';
+      } else if (node.enum) {
+        type = 'string';
+      } else if (alternatives) {
+        type = 'mixed';
+      } else {
+        type = 'any';
+      }
+    }
+
+    return { node, type, nullable };
+  }
+
+  /**
+   * Build a column node (and its children) for a schema property
+   *
+   * @param {string} name - The property name
+   * @param {Object} property - The property schema
+   * @param {Object} context - Parent path, parent required list, schema root and primary key section
+   * @returns {Object} - The column node
+   */
+  static buildColumnNode(name, property, context) {
+    const { parentPath, required, root, isKey } = context;
+    const { node, type, nullable } = DAPSchema.describeType(property, root);
+    const path = parentPath ? `${parentPath}.${name}` : name;
+
+    const column = {
+      name,
+      path,
+      type,
+      format: node.format || null,
+      enum: Array.isArray(node.enum) ? node.enum.filter(value => value !== null) : null,
+      maxLength: node.maxLength || null,
+      nullable: nullable || !required.includes(name),
+      description: node.description || '',
+      primaryKey: !!isKey && parentPath === 'key',
+      children: []
+    };
+
+    if (node.properties) {
+      const childRequired = node.required || [];
+      column.children = Object.keys(node.properties).map(childName =>
+        DAPSchema.buildColumnNode(childName, node.properties[childName], {
+          parentPath: path,
+          required: childRequired,
+          root,
+          isKey: isKey || path === 'key'
+        })
+      );
+    } else if (type === 'array' && node.items) {
+      const items = DAPSchema.describeType(node.items, root);
+      column.itemType = items.type;
+      if (items.node.properties) {
+        const childRequired = items.node.required || [];
+        column.children = Object.keys(items.node.properties).map(childName =>
+          DAPSchema.buildColumnNode(childName, items.node.properties[childName], {
+            parentPath: `${path}[]`,
+            required: childRequired,
+            root,
+            isKey: false
+          })
+        );
+      }
+    }
+
+    return column;
+  }
+
+  /**
+   * Build the column tree for a table schema
+   *
+   * The top level nodes are the sections of a DAP record (usually "key",
+   * "value" and "meta"); their children are the actual columns.
+   *
+   * @param {Object} schemaResponse - The response from DAPClient.getTableSchema
+   * @returns {Array<Object>} - List of column nodes
+   */
+  static buildColumnTree(schemaResponse) {
+    const root = DAPSchema.getSchemaBody(schemaResponse);
+    const properties = root.properties || {};
+    const required = root.required || [];
+
+    return Object.keys(properties).map(name =>
+      DAPSchema.buildColumnNode(name, properties[name], {
+        parentPath: '',
+        required,
+        root,
+        isKey: false
+      })
+    );
+  }
+
+  /**
+   * Flatten a column tree into its leaf columns
+   *
+   * @param {Array<Object>} tree - The column tree from buildColumnTree
+   * @returns {Array<Object>} - Leaf column nodes with dotted paths
+   */
+  static flattenColumns(tree) {
+    const columns = [];
+    const visit = nodes => {
+      for (const node of nodes) {
+        if (node.children.length > 0 && node.type === 'object') {
+          visit(node.children);
+        } else {
+          columns.push(node);
+        }
+      }
+    };
+    visit(tree);
+    return columns;
+  }
+
+  /**
+   * Flatten a DAP record into dotted column paths (e.g. "value.name")
+   *
+   * Nested objects are flattened; arrays are kept as values.
+   *
+   * @param {Object} record - The record (e.g. a parsed JSONL line)
+   * @param {string} prefix - Path of the record (used when recursing)
+   * @param {Object} target - Object receiving the flattened values (used when recursing)
+   * @returns {Object} - Dictionary mapping column paths to values
+   */
+  static flattenRecord(record, prefix = '', target = {}) {
+    for (const [name, value] of Object.entries(record || {})) {
+      const path = prefix ? `${prefix}.${name}` : name;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        DAPSchema.flattenRecord(value, path, target);
+      } else {
+        target[path] = value;
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Get the primary key column names of a table
+   *
+   * @param {Object} schemaResponse - The response from DAPClient.getTableSchema
+   * @returns {Array<string>} - Names of the columns in the "key" section
+   */
+  static getPrimaryKey(schemaResponse) {
+    const keySection = DAPSchema.buildColumnTree(schemaResponse).find(node => node.name === 'key');
+    return keySection ? DAPSchema.flattenColumns(keySection.children).map(column => column.name) : [];
+  }
+
+  /**
+   * Format a column type for display (e.g. "integer (int64)", "enum")
+   *
+   * @param {Object} column - The column node
+   * @returns {string} - The display type
+   */
+  static formatColumnType(column) {
+    if (column.enum && column.enum.length > 0) {
+      return `enum (${column.enum.join(', ')})`;
+    }
+
+    let display = column.type;
+    if (column.type === 'array' && column.itemType) {
+      display = `array<${column.itemType}>`;
+    }
+    if (column.format) {
+      display += ` (${column.format})`;
+    } else if (column.maxLength) {
+      display += ` (max ${column.maxLength})`;
+    }
+    return display;
+  }
+
+  /**
+   * Search columns across the schemas of several tables
+   *
+   * Matches the column path, type and description case-insensitively.
+   *
+   * @param {Object} schemasByTable - Dictionary mapping table names to getTableSchema responses
+   * @param {string} term - The search term
+   * @returns {Array<Object>} - List of { table, column } matches
+   */
+  static searchColumns(schemasByTable, term) {
+    const needle = (term || '').trim().toLowerCase();
+    if (!needle) {
+      return [];
+    }
+
+    const matches = [];
+    for (const table of Object.keys(schemasByTable).sort()) {
+      const columns = DAPSchema.flattenColumns(DAPSchema.buildColumnTree(schemasByTable[table]));
+      for (const column of columns) {
+        const haystack = `${table}.${column.path} ${DAPSchema.formatColumnType(column)} ${column.description}`.toLowerCase();
+        if (haystack.includes(needle)) {
+          matches.push({ table, column });
+        }
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Export a table schema as a standalone JSON Schema document
+   *
+   * @param {string} namespace - The namespace
+   * @param {string} table - The table name
+   * @param {Object} schemaResponse - The response from DAPClient.getTableSchema
+   * @returns {string} - The JSON Schema document as formatted JSON
+   */
+  static toJsonSchema(namespace, table, schemaResponse) {
+    const body = DAPSchema.getSchemaBody(schemaResponse);
+    const document = {
+      $schema: body.$schema || 'http://json-schema.org/draft-07/schema#',
+      $id: `dap:${namespace}.${table}`,
+      title: `${namespace}.${table}`,
+      ...body
+    };
+
+    if (schemaResponse && schemaResponse.version !== undefined) {
+      document['x-dap-version'] = schemaResponse.version;
+    }
+
+    const primaryKey = DAPSchema.getPrimaryKey(schemaResponse);
+    if (primaryKey.length > 0) {
+      document['x-primary-key'] = primaryKey;
+    }
+
+    return JSON.stringify(document, null, 2);
+  }
+
+  /**
+   * Escape a value for use inside a Markdown table cell
+   *
+   * @param {string} value - The cell value
+   * @returns {string} - The escaped value
+   */
+  static escapeMarkdownCell(value) {
+    return String(value || '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+
+  /**
+   * Export table schemas as a Markdown data dictionary
+   *
+   * @param {string} namespace - The namespace
+   * @param {Object} schemasByTable - Dictionary mapping table names to getTableSchema responses
+   * @returns {string} - The Markdown document
+   */
+  static toMarkdown(namespace, schemasByTable) {
+    const lines = [`# ${namespace} data dictionary`, ''];
+
+    for (const table of Object.keys(schemasByTable).sort()) {
+      const schemaResponse = schemasByTable[table];
+      const body = DAPSchema.getSchemaBody(schemaResponse);
+      const primaryKey = DAPSchema.getPrimaryKey(schemaResponse);
+
+      lines.push(`## ${namespace}.${table}`, '');
+      if (body.description) {
+        lines.push(DAPSchema.escapeMarkdownCell(body.description), '');
+      }
+      if (schemaResponse && schemaResponse.version !== undefined) {
+        lines.push(`Schema version: ${schemaResponse.version}`, '');
+      }
+      if (primaryKey.length > 0) {
+        lines.push(`Primary key: ${primaryKey.map(name => `\`${name}\``).join(', ')}`, '');
+      }
+
+      lines.push('| Column | Type | Nullable | Description |');
+      lines.push('| --- | --- | --- | --- |');
+      for (const column of DAPSchema.flattenColumns(DAPSchema.buildColumnTree(schemaResponse))) {
+        const name = column.primaryKey ? `**${column.path}**` : column.path;
+        lines.push(`| ${name} | ${DAPSchema.escapeMarkdownCell(DAPSchema.formatColumnType(column))} | ${column.nullable ? 'yes' : 'no'} | ${DAPSchema.escapeMarkdownCell(column.description)} |`);
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+}
+
+// Export the DAPSchema class for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { DAPSchema };
+} else {
+  window.DAPSchema = DAPSchema;
+}
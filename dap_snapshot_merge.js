@@ -0,0 +1,230 @@
+/**
+ * Canvas DAP Snapshot Merger
+ *
+ * This module brings a saved snapshot of a table up to date with the
+ * results of incremental queries. Every incremental record is an upsert or,
+ * when its meta.action is "D", a delete of the row with the same key.
+ * Change sets are applied in the order of their since timestamps and the
+ * current state of the table is written as JSONL, which can serve as the
+ * snapshot for the next merge. The rows are kept in memory while merging.
+ */
+
+const snapshotFormatConverter = typeof window !== 'undefined' && window.FormatConverter ?
+  window.FormatConverter :
+  require('./dap_convert.js').FormatConverter;
+const snapshotFolderSaver = typeof window !== 'undefined' && window.FolderSaver ?
+  window.FolderSaver :
+  require('./dap_folder.js').FolderSaver;
+
+class SnapshotMerger {
+  /**
+   * Initialize the snapshot merger
+   *
+   * @param {boolean} gzip - Whether to gzip compress the output
+   */
+  constructor(gzip = true) {
+    this.gzip = gzip;
+  }
+
+  /**
+   * Get the time range of an incremental result from a file name
+   *
+   * Files saved by this app carry the range after the table name, e.g.
+   * "accounts-20240101T000000Z-20240102T000000Z-part-000.jsonl.gz".
+   *
+   * @param {string} filename - The file name
+   * @returns {Object|null} - Dictionary with the since and until ISO timestamps, or null if the name has no range
+   */
+  static parseRange(filename) {
+    const match = filename.match(/-(\d{8}T\d{6}Z)-(\d{8}T\d{6}Z)(?:-part-\d+)?\./);
+    if (!match) {
+      return null;
+    }
+    const toIso = token => token.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z');
+    return { since: toIso(match[1]), until: toIso(match[2]) };
+  }
+
+  /**
+   * Group incremental result files into change sets, in since order
+   *
+   * @param {Array<File>} files - The incremental result files
+   * @returns {Array<Object>} - List of { since, until, files } sorted by since, then until
+   * @throws {Error} - If the time range of a file cannot be told from its name
+   */
+  static groupChangeSets(files) {
+    const changeSets = new Map();
+
+    for (const file of files) {
+      const range = SnapshotMerger.parseRange(file.name);
+      if (!range) {
+        throw new Error(`Cannot tell the time range of '${file.name}'; ` +
+          `use files named <table>-<since>-<until>-part-NNN as saved by "Save all parts to a folder"`);
+      }
+      const id = `${range.since}|${range.until}`;
+      if (!changeSets.has(id)) {
+        changeSets.set(id, { ...range, files: [] });
+      }
+      changeSets.get(id).files.push(file);
+    }
+
+    const sorted = Array.from(changeSets.values())
+      .sort((a, b) => a.since.localeCompare(b.since) || a.until.localeCompare(b.until));
+    sorted.forEach(changeSet => {
+      changeSet.files.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    });
+    return sorted;
+  }
+
+  /**
+   * Get the file name for the merged table (e.g. "accounts-20240102T000000Z.jsonl.gz")
+   *
+   * @param {string} table - The table name
+   * @param {string|null} until - The until timestamp of the last change set applied
+   * @returns {string} - The file name
+   */
+  outputFilename(table, until = null) {
+    const suffix = until ? `-${snapshotFolderSaver.timestampToken(until)}` : '';
+    return `${table}${suffix}.jsonl${this.gzip ? '.gz' : ''}`;
+  }
+
+  /**
+   * Get the identity of a record from its key section
+   *
+   * @param {Object} record - The parsed record
+   * @returns {string} - The key, independent of the order of the key columns
+   * @throws {Error} - If the record has no key
+   */
+  static recordKey(record) {
+    if (!record || !record.key || typeof record.key !== "object") {
+      throw new Error("Record has no key section; only JSONL results of DAP queries can be merged");
+    }
+    return JSON.stringify(Object.keys(record.key).sort().map(name => [name, record.key[name]]));
+  }
+
+  /**
+   * Apply change sets to a snapshot and write the current state of the table
+   *
+   * Rows keep the order of the snapshot; inserted rows follow it. Gaps and
+   * overlaps between consecutive change sets are reported as warnings: a gap
+   * means changes are missing, while overlapping changes are simply applied
+   * again.
+   *
+   * @param {Array<File|Blob>} snapshotFiles - The JSONL parts of the snapshot (".gz" names are decompressed)
+   * @param {Array<Object>} changeSets - List of { since, until, files } from groupChangeSets
+   * @param {WritableStream} writable - The destination, e.g. a FileSystemWritableFileStream (closed when done)
+   * @param {Function|null} onProgress - Called as (phase, index, count, recordCount) with phase "snapshot", "changes" or "writing" (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel the merge (optional)
+   * @returns {Promise<Object>} - Dictionary with the record counts, the change sets applied and any warnings
+   * @throws {Error} - If a file cannot be read or the output cannot be written
+   */
+  async merge(snapshotFiles, changeSets, writable, onProgress = null, signal = null) {
+    const rows = new Map();
+    const stats = {
+      snapshotRecords: 0,
+      inserted: 0,
+      updated: 0,
+      deleted: 0,
+      missingDeletes: 0,
+      records: 0,
+      until: changeSets.length > 0 ? changeSets[changeSets.length - 1].until : null,
+      changeSets: [],
+      warnings: []
+    };
+    const notify = (phase, index, count, recordCount) => {
+      if (onProgress) {
+        onProgress(phase, index, count, recordCount);
+      }
+    };
+
+    let writer = null;
+    let compressed = null;
+    try {
+      for await (const record of snapshotFormatConverter.readJsonLines(snapshotFiles, (index, count, recordCount) => {
+        notify("snapshot", index, count, recordCount);
+      }, signal)) {
+        rows.set(SnapshotMerger.recordKey(record), JSON.stringify(record));
+        stats.snapshotRecords++;
+      }
+
+      for (let i = 0; i < changeSets.length; i++) {
+        const changeSet = changeSets[i];
+        const previous = changeSets[i - 1];
+        if (previous && Date.parse(changeSet.since) > Date.parse(previous.until)) {
+          stats.warnings.push(`Changes between ${previous.until} and ${changeSet.since} are missing`);
+        } else if (previous && Date.parse(changeSet.since) < Date.parse(previous.until)) {
+          stats.warnings.push(`Changes since ${changeSet.since} overlap the previous set (until ${previous.until})`);
+        }
+
+        const counts = { since: changeSet.since, until: changeSet.until, upserts: 0, deletes: 0 };
+        for await (const record of snapshotFormatConverter.readJsonLines(changeSet.files, (index, count, recordCount) => {
+          notify("changes", i, changeSets.length, recordCount);
+        }, signal)) {
+          const key = SnapshotMerger.recordKey(record);
+          if (record.meta && record.meta.action === "D") {
+            counts.deletes++;
+            if (rows.delete(key)) {
+              stats.deleted++;
+            } else {
+              stats.missingDeletes++;
+            }
+          } else {
+            counts.upserts++;
+            if (rows.has(key)) {
+              stats.updated++;
+            } else {
+              stats.inserted++;
+            }
+            rows.set(key, JSON.stringify(record));
+          }
+        }
+        stats.changeSets.push(counts);
+      }
+
+      if (this.gzip) {
+        const compressor = new CompressionStream("gzip");
+        compressed = compressor.readable.pipeTo(writable);
+        writer = compressor.writable.getWriter();
+      } else {
+        writer = writable.getWriter();
+      }
+
+      const encoder = new TextEncoder();
+      let buffer = '';
+      for (const line of rows.values()) {
+        buffer += line + '\n';
+        if (++stats.records % 10000 === 0) {
+          await writer.write(encoder.encode(buffer));
+          buffer = '';
+          notify("writing", 0, 1, stats.records);
+          if (signal && signal.aborted) {
+            throw new DOMException("The operation was aborted.", "AbortError");
+          }
+        }
+      }
+      await writer.write(encoder.encode(buffer));
+      await writer.close();
+      if (compressed) {
+        await compressed;
+      }
+    } catch (error) {
+      if (writer) {
+        await writer.abort(error).catch(() => {});
+        if (compressed) {
+          await compressed.catch(() => {});
+        }
+      } else {
+        await Promise.resolve(writable.abort(error)).catch(() => {});
+      }
+      throw error;
+    }
+
+    return stats;
+  }
+}
+
+// Export the merger for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { SnapshotMerger };
+} else {
+  window.SnapshotMerger = SnapshotMerger;
+}
@@ -0,0 +1,288 @@
+/**
+ * Canvas DAP SQL Engine
+ *
+ * This module loads downloaded JSONL parts into an in-browser SQLite
+ * database (run by dap_sql_worker.js) as tables named after the DAP table,
+ * and runs SQL against them. Column names and types come from the table
+ * schema through DDLGenerator's SQLite dialect, so "value.workflow_state"
+ * becomes the TEXT column "workflow_state". Tables are kept in the origin
+ * private file system between sessions when the browser supports it.
+ */
+
+const sqlDDLGenerator = typeof window !== 'undefined' && window.DDLGenerator ?
+  window.DDLGenerator :
+  require('./dap_ddl.js').DDLGenerator;
+const sqlFormatConverter = typeof window !== 'undefined' && window.FormatConverter ?
+  window.FormatConverter :
+  require('./dap_convert.js').FormatConverter;
+
+class SqlEngine {
+  /**
+   * Initialize the SQL engine
+   *
+   * @param {string} workerUrl - URL of the SQL worker script
+   * @param {Function|null} createWorker - Creates the worker from its URL (defaults to a module Worker)
+   */
+  constructor(workerUrl = "dap_sql_worker.js", createWorker = null) {
+    this.workerUrl = workerUrl;
+    this.createWorker = createWorker || (url => new Worker(url, { type: "module" }));
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.persistent = false;
+  }
+
+  /**
+   * Send a request to the worker
+   *
+   * @param {string} type - The request type (open, query, insert, tables, drop)
+   * @param {Object} payload - The request data
+   * @returns {Promise<*>} - The result of the request
+   * @throws {Error} - If the worker reports an error
+   */
+  request(type, payload = {}) {
+    if (!this.worker) {
+      this.worker = this.createWorker(this.workerUrl);
+      this.worker.onmessage = event => {
+        const { id, result, error } = event.data;
+        const request = this.pending.get(id);
+        if (!request) {
+          return;
+        }
+        this.pending.delete(id);
+        if (error) {
+          request.reject(new Error(error));
+        } else {
+          request.resolve(result);
+        }
+      };
+      this.worker.onerror = event => {
+        const error = new Error(`SQL worker failed: ${event.message || 'could not load SQLite'}`);
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+      };
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, ...payload });
+    });
+  }
+
+  /**
+   * Open the database
+   *
+   * @returns {Promise<Object>} - Dictionary with whether tables persist between sessions and the SQLite version
+   */
+  async open() {
+    const result = await this.request("open");
+    this.persistent = result.persistent;
+    return result;
+  }
+
+  /**
+   * Get the SQL columns for a table
+   *
+   * With a schema the columns are those of DDLGenerator's SQLite dialect.
+   * Without one the keys found in the records are used, named the same way
+   * and declared without a type, so values keep their JSON types.
+   *
+   * @param {Object|null} schemaResponse - The response from DAPClient.getTableSchema (optional)
+   * @param {Array<string>} paths - Column paths found in the data, used without a schema
+   * @returns {Array<Object>} - List of { name, path, sqlType, primaryKey }
+   */
+  static getColumns(schemaResponse, paths = []) {
+    if (schemaResponse) {
+      return new sqlDDLGenerator("sqlite", { schemaName: null }).getColumns(schemaResponse);
+    }
+
+    const usedNames = new Set();
+    return paths.map(path => {
+      let name = path.replace(/^(key|value)\./, '').split('.').join('_');
+      if (usedNames.has(name)) {
+        name = path.split('.').join('_');
+      }
+      usedNames.add(name);
+      return { name, path, sqlType: "", primaryKey: path.startsWith('key.') };
+    });
+  }
+
+  /**
+   * Convert a record value for SQLite
+   *
+   * @param {*} value - The value
+   * @returns {*} - Numbers and strings as they are, booleans as 0/1, arrays and objects as JSON text
+   */
+  static toSqlValue(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (typeof value === "boolean") {
+      return value ? 1 : 0;
+    }
+    if (typeof value === "object") {
+      return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  /**
+   * Load JSONL parts into a table, replacing the table if it exists
+   *
+   * Records are applied in file order, so incremental parts can follow a
+   * snapshot: delete records (meta.action "D") remove the row with the same
+   * primary key.
+   *
+   * @param {string} namespace - The namespace (used in the DDL comment)
+   * @param {string} table - The table name
+   * @param {Array<File|Blob>} files - The JSONL parts; names ending in ".gz" are decompressed
+   * @param {Object|null} schemaResponse - The response from DAPClient.getTableSchema (optional)
+   * @param {Function|null} onProgress - Called as (fileIndex, fileCount, recordCount) while loading (optional)
+   * @param {AbortSignal|null} signal - Signal to cancel loading (optional)
+   * @returns {Promise<number>} - The number of rows loaded
+   * @throws {Error} - If a file cannot be read, a row cannot be inserted or deleted, or the parts
+   *   contain delete records but the table has no primary key
+   */
+  async loadTable(namespace, table, files, schemaResponse = null, onProgress = null, signal = null) {
+    const converter = new sqlFormatConverter("csv");
+    let columns;
+    let ddl;
+
+    if (schemaResponse) {
+      columns = SqlEngine.getColumns(schemaResponse);
+      ddl = new sqlDDLGenerator("sqlite", { schemaName: null }).tableDDL(namespace, table, schemaResponse);
+    } else {
+      const found = await converter.getColumns({ files, schema: null }, signal);
+      columns = SqlEngine.getColumns(null, found.map(column => column.name));
+      const generator = new sqlDDLGenerator("sqlite", { schemaName: null });
+      const definitions = columns.map(column => `  ${generator.quoteIdentifier(column.name)}`);
+      // Declare the key like DDLGenerator.tableDDL does, so INSERT OR REPLACE updates rows instead of adding copies
+      const primaryKey = columns.filter(column => column.primaryKey);
+      if (primaryKey.length > 0) {
+        definitions.push(`  PRIMARY KEY (${primaryKey.map(column => generator.quoteIdentifier(column.name)).join(', ')})`);
+      }
+      ddl = `CREATE TABLE ${generator.quoteIdentifier(table)} (\n${definitions.join(',\n')}\n);\n`;
+    }
+
+    await this.request("drop", { table });
+    await this.request("query", { sql: ddl, maxRows: 0 });
+
+    const names = columns.map(column => column.name);
+    const keyColumns = columns.filter(column => column.primaryKey);
+    // Consecutive upserts or deletes are sent together; switching flushes the batch to keep the order
+    let batch = [];
+    let deleting = false;
+    const flush = async () => {
+      if (batch.length === 0) {
+        return;
+      }
+      if (deleting) {
+        await this.request("delete", { table, keyColumns: keyColumns.map(column => column.name), keys: batch });
+      } else {
+        await this.request("insert", { table, columns: names, rows: batch });
+      }
+      batch = [];
+    };
+
+    for await (const record of converter.readRecords(files, onProgress, signal)) {
+      const isDelete = record["meta.action"] === "D";
+      if (isDelete && keyColumns.length === 0) {
+        throw new Error(`The files of ${table} contain delete records, but the table has no primary key to apply them with`);
+      }
+      if (isDelete !== deleting || batch.length >= 5000) {
+        await flush();
+        deleting = isDelete;
+      }
+      batch.push((isDelete ? keyColumns : columns).map(column => SqlEngine.toSqlValue(record[column.path])));
+    }
+    await flush();
+
+    // Updates replace rows and deletes remove them, so count what the table holds now
+    const result = await this.request("query", {
+      sql: `SELECT COUNT(*) FROM "${table.replace(/"/g, '""')}"`,
+      maxRows: 1
+    });
+    return Number(result.rows[0][0]);
+  }
+
+  /**
+   * Run SQL
+   *
+   * @param {string} sql - One or more SQL statements
+   * @param {number|null} maxRows - Maximum number of rows to return (null for all)
+   * @returns {Promise<Object>} - Dictionary with the column names, the rows, the total row count and the number of rows changed
+   */
+  async query(sql, maxRows = 1000) {
+    return await this.request("query", { sql, maxRows });
+  }
+
+  /**
+   * Run a query and write all of its rows as CSV
+   *
+   * @param {string} sql - The query
+   * @param {WritableStream} writable - The destination, e.g. a FileSystemWritableFileStream (closed when done)
+   * @returns {Promise<number>} - The number of rows written
+   */
+  async exportCsv(sql, writable) {
+    const writer = writable.getWriter();
+    try {
+      const result = await this.query(sql, null);
+      const encoder = new TextEncoder();
+      const line = values => values.map(value => sqlFormatConverter.formatField(value, ",")).join(",") + "\n";
+
+      let buffer = line(result.columns);
+      for (const row of result.rows) {
+        buffer += line(row);
+        if (buffer.length >= 65536) {
+          await writer.write(encoder.encode(buffer));
+          buffer = '';
+        }
+      }
+      await writer.write(encoder.encode(buffer));
+      await writer.close();
+      return result.rows.length;
+    } catch (error) {
+      await writer.abort(error).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * List the loaded tables
+   *
+   * @returns {Promise<Array<Object>>} - List of { name, rows }
+   */
+  async listTables() {
+    return await this.request("tables");
+  }
+
+  /**
+   * Remove a table
+   *
+   * @param {string} table - The table name
+   * @returns {Promise<void>}
+   */
+  async dropTable(table) {
+    await this.request("drop", { table });
+  }
+
+  /**
+   * Stop the worker (pending requests are rejected)
+   */
+  close() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pending.forEach(request => request.reject(new Error("SQL engine closed")));
+    this.pending.clear();
+  }
+}
+
+// Export the engine for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { SqlEngine };
+} else {
+  window.SqlEngine = SqlEngine;
+}
@@ -0,0 +1,176 @@
+/**
+ * Canvas DAP SQL Worker
+ *
+ * This module worker runs SQLite (the official WebAssembly build) for
+ * SqlEngine. The database lives in the origin private file system (OPFS)
+ * through the "opfs-sahpool" VFS, so loaded tables survive page reloads;
+ * when OPFS is not available an in-memory database is used instead.
+ *
+ * Requests are posted as { id, type, ...payload } and answered with
+ * { id, result } or { id, error }.
+ */
+
+import sqlite3InitModule from "https://cdn.jsdelivr.net/npm/@sqlite.org/sqlite-wasm@3.53.4-build1/dist/index.mjs";
+
+const DATABASE_FILE = "/dap-tables.sqlite3";
+
+let db = null;
+let persistent = false;
+let openPromise = null;
+
+/**
+ * Open the database once; concurrent requests share the same opening
+ *
+ * @returns {Promise<Object>} - Dictionary with whether the database is persistent and the SQLite version
+ */
+function openDatabase() {
+  if (!openPromise) {
+    openPromise = createDatabase().catch(error => {
+      // Let the next request try again
+      openPromise = null;
+      throw error;
+    });
+  }
+  return openPromise;
+}
+
+/**
+ * Create the database, in OPFS when possible
+ *
+ * @returns {Promise<Object>} - Dictionary with whether the database is persistent and the SQLite version
+ */
+async function createDatabase() {
+  const sqlite3 = await sqlite3InitModule();
+  try {
+    const pool = await sqlite3.installOpfsSAHPoolVfs({ name: "dap-sql" });
+    db = new pool.OpfsSAHPoolDb(DATABASE_FILE);
+    persistent = true;
+  } catch (error) {
+    // Older browsers, private windows and a second open tab cannot use the OPFS pool
+    console.warn(`OPFS is not available, tables are kept in memory only: ${error.message}`);
+    db = new sqlite3.oo1.DB(":memory:", "c");
+    persistent = false;
+  }
+  return { persistent, version: db.selectValue("SELECT sqlite_version()") };
+}
+
+/**
+ * Run SQL and collect the rows of the statements that return rows
+ *
+ * @param {string} sql - One or more SQL statements
+ * @param {number|null} maxRows - Maximum number of rows to return (null for all)
+ * @returns {Object} - Dictionary with the column names, the rows, the total row count and the number of rows changed
+ */
+function runQuery(sql, maxRows = null) {
+  const columns = [];
+  const rows = [];
+  let rowCount = 0;
+  const changesBefore = db.changes(true);
+
+  db.exec({
+    sql,
+    rowMode: "array",
+    columnNames: columns,
+    callback: row => {
+      rowCount++;
+      if (maxRows === null || rows.length < maxRows) {
+        rows.push(row.map(value => (typeof value === "bigint" ? value.toString() : value)));
+      }
+    }
+  });
+
+  return { columns, rows, rowCount, changes: db.changes(true) - changesBefore };
+}
+
+/**
+ * Insert rows in one transaction, replacing rows with the same primary key
+ *
+ * @param {string} table - The table name
+ * @param {Array<string>} columns - The column names
+ * @param {Array<Array<*>>} rows - The values, in column order
+ * @returns {number} - The number of rows written (inserted or replaced)
+ */
+function insertRows(table, columns, rows) {
+  const quote = name => `"${name.replace(/"/g, '""')}"`;
+  const statement = db.prepare(
+    `INSERT OR REPLACE INTO ${quote(table)} (${columns.map(quote).join(", ")}) ` +
+    `VALUES (${columns.map(() => "?").join(", ")})`
+  );
+
+  try {
+    db.transaction(() => {
+      for (const row of rows) {
+        statement.bind(row).stepReset();
+      }
+    });
+  } finally {
+    statement.finalize();
+  }
+  return rows.length;
+}
+
+/**
+ * Delete rows by primary key in one transaction
+ *
+ * @param {string} table - The table name
+ * @param {Array<string>} keyColumns - The primary key column names
+ * @param {Array<Array<*>>} keys - The key values, in key column order
+ * @returns {number} - The number of rows deleted
+ */
+function deleteRows(table, keyColumns, keys) {
+  const quote = name => `"${name.replace(/"/g, '""')}"`;
+  const statement = db.prepare(
+    `DELETE FROM ${quote(table)} WHERE ${keyColumns.map(name => `${quote(name)} = ?`).join(" AND ")}`
+  );
+
+  let deleted = 0;
+  try {
+    db.transaction(() => {
+      for (const key of keys) {
+        statement.bind(key).stepReset();
+        deleted += db.changes();
+      }
+    });
+  } finally {
+    statement.finalize();
+  }
+  return deleted;
+}
+
+/**
+ * List the tables with their row counts
+ *
+ * @returns {Array<Object>} - List of { name, rows }
+ */
+function listTables() {
+  const names = db.selectValues("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+  return names.map(name => ({
+    name,
+    rows: db.selectValue(`SELECT COUNT(*) FROM "${name.replace(/"/g, '""')}"`)
+  }));
+}
+
+const handlers = {
+  open: () => openDatabase(),
+  query: ({ sql, maxRows }) => runQuery(sql, maxRows ?? null),
+  insert: ({ table, columns, rows }) => insertRows(table, columns, rows),
+  delete: ({ table, keyColumns, keys }) => deleteRows(table, keyColumns, keys),
+  tables: () => listTables(),
+  drop: ({ table }) => {
+    db.exec(`DROP TABLE IF EXISTS "${table.replace(/"/g, '""')}"`);
+    return true;
+  }
+};
+
+self.onmessage = async event => {
+  const { id, type, ...payload } = event.data;
+  try {
+    if (!handlers[type]) {
+      throw new Error(`Unknown SQL worker request: ${type}`);
+    }
+    await openDatabase();
+    self.postMessage({ id, result: await handlers[type](payload) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,258 @@
+/**
+ * Canvas DAP Sync State Store
+ *
+ * This module keeps track of the last synced timestamp (watermark) for each
+ * namespace, table and scope so the next incremental query can continue
+ * exactly where the previous job stopped. State is persisted in IndexedDB
+ * and can be exported to and imported from JSON.
+ */
+
+class SyncStateStore {
+  /**
+   * Initialize the sync state store
+   *
+   * @param {string} dbName - IndexedDB database name
+   * @param {string} storeName - IndexedDB object store name
+   */
+  constructor(dbName = "dap-web-app", storeName = "syncState") {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  /**
+   * Build the key used to store the state for a table
+   *
+   * @param {string} namespace - The namespace
+   * @param {string} table - The table name
+   * @param {string|null} scope - The scope (optional)
+   * @returns {string} - The state key
+   */
+  static stateKey(namespace, table, scope = null) {
+    return `${namespace}|${scope || ''}|${table}`;
+  }
+
+  /**
+   * Get the watermark a completed job reached
+   *
+   * Incremental jobs report the upper bound as "until"; snapshot jobs report
+   * the point in time they were taken as "at".
+   *
+   * @param {Object} jobInfo - Job information for a completed job
+   * @returns {string|null} - The ISO timestamp, or null if the job has none
+   */
+  static getJobWatermark(jobInfo) {
+    if (!jobInfo) {
+      return null;
+    }
+    return jobInfo.until || jobInfo.at || null;
+  }
+
+  /**
+   * Open the IndexedDB database, creating the object store if needed
+   *
+   * @returns {Promise<IDBDatabase>} - The open database
+   * @throws {Error} - If IndexedDB is unavailable or the database cannot be opened
+   */
+  async open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    if (typeof indexedDB === 'undefined') {
+      throw new Error("IndexedDB is not available in this environment");
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to open sync state database: ${request.error?.message}`));
+    });
+
+    return this.db;
+  }
+
+  /**
+   * Run a request against the object store
+   *
+   * @param {string} mode - Transaction mode ("readonly" or "readwrite")
+   * @param {Function} operation - Function that receives the object store and returns an IDBRequest
+   * @returns {Promise<*>} - The request result
+   */
+  async withStore(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(new Error(`Sync state operation failed: ${transaction.error?.message}`));
+      transaction.onabort = () => reject(new Error(`Sync state operation aborted: ${transaction.error?.message}`));
+    });
+  }
+
+  /**
+   * Get the sync state for a table
+   *
+   * @param {string} namespace - The namespace
+   * @param {string} table - The table name
+   * @param {string|null} scope - The scope (optional)
+   * @returns {Promise<Object|null>} - The stored state, or null if the table has not been synced
+   */
+  async get(namespace, table, scope = null) {
+    const state = await this.withStore("readonly", store => store.get(SyncStateStore.stateKey(namespace, table, scope)));
+    return state || null;
+  }
+
+  /**
+   * Get the sync state of every table
+   *
+   * @returns {Promise<Array<Object>>} - List of stored states
+   */
+  async list() {
+    return await this.withStore("readonly", store => store.getAll());
+  }
+
+  /**
+   * Record the watermark reached by a completed job
+   *
+   * Jobs that report no timestamp are ignored, and an older watermark never
+   * replaces a newer one.
+   *
+   * @param {string} namespace - The namespace
+   * @param {string} table - The table name
+   * @param {string|null} scope - The scope (optional)
+   * @param {Object} jobInfo - Job information returned by DAPClient.getTableData
+   * @returns {Promise<Object|null>} - The stored state, or null if nothing was recorded
+   */
+  async record(namespace, table, scope, jobInfo) {
+    const watermark = SyncStateStore.getJobWatermark(jobInfo);
+    if (!watermark) {
+      return null;
+    }
+
+    const existing = await this.get(namespace, table, scope);
+    if (existing && new Date(existing.watermark) > new Date(watermark)) {
+      return existing;
+    }
+
+    const state = {
+      id: SyncStateStore.stateKey(namespace, table, scope),
+      namespace,
+      table,
+      scope: scope || null,
+      watermark,
+      jobId: jobInfo.id || null,
+      jobType: jobInfo.until || jobInfo.since ? "incremental" : "snapshot",
+      schemaVersion: jobInfo.schema_version ?? null,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.withStore("readwrite", store => store.put(state));
+    return state;
+  }
+
+  /**
+   * Remove the sync state for a table
+   *
+   * @param {string} namespace - The namespace
+   * @param {string} table - The table name
+   * @param {string|null} scope - The scope (optional)
+   * @returns {Promise<void>}
+   */
+  async remove(namespace, table, scope = null) {
+    await this.withStore("readwrite", store => store.delete(SyncStateStore.stateKey(namespace, table, scope)));
+  }
+
+  /**
+   * Remove the sync state of every table
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.withStore("readwrite", store => store.clear());
+  }
+
+  /**
+   * Create the next incremental query for a table from its stored watermark
+   *
+   * @param {DAPClient} client - The DAP client
+   * @param {string} namespace - The namespace
+   * @param {string} table - The table name
+   * @param {string|null} scope - The scope (optional)
+   * @param {string} format - The output format (jsonl, csv, tsv, parquet)
+   * @param {string|null} mode - Output mode (optional)
+   * @returns {Promise<Object|null>} - The incremental query, or null if the table has not been synced
+   */
+  async createNextQuery(client, namespace, table, scope, format, mode = null) {
+    const state = await this.get(namespace, table, scope);
+    if (!state) {
+      return null;
+    }
+    return client.createIncrementalQuery(format, state.watermark, null, mode);
+  }
+
+  /**
+   * Export every stored state as JSON
+   *
+   * @returns {Promise<string>} - The exported state document
+   */
+  async exportJSON() {
+    const states = await this.list();
+    return JSON.stringify({
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      states
+    }, null, 2);
+  }
+
+  /**
+   * Import states from a JSON document created by exportJSON
+   *
+   * Imported states replace stored ones for the same table.
+   *
+   * @param {string|Object} json - The exported state document
+   * @returns {Promise<number>} - Number of states imported
+   * @throws {Error} - If the document is not a valid sync state export
+   */
+  async importJSON(json) {
+    const document = typeof json === 'string' ? JSON.parse(json) : json;
+    const states = Array.isArray(document) ? document : document?.states;
+
+    if (!Array.isArray(states)) {
+      throw new Error("Invalid sync state file: expected a list of states");
+    }
+
+    const valid = states.filter(state => state && state.namespace && state.table && state.watermark);
+    if (valid.length !== states.length) {
+      throw new Error("Invalid sync state file: every state needs a namespace, table and watermark");
+    }
+
+    await this.withStore("readwrite", store => {
+      let request = null;
+      for (const state of valid) {
+        request = store.put({
+          ...state,
+          id: SyncStateStore.stateKey(state.namespace, state.table, state.scope),
+          scope: state.scope || null
+        });
+      }
+      return request || { result: undefined };
+    });
+
+    return valid.length;
+  }
+}
+
+// Export the store for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { SyncStateStore };
+} else {
+  window.SyncStateStore = SyncStateStore;
+}
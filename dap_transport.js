@@ -0,0 +1,290 @@
+/**
+ * Canvas DAP Transports
+ *
+ * This module sends the HTTP requests of DAPClient. ProxyTransport posts
+ * every request to the CORS proxy (api/proxy.js), which the web app needs
+ * because the API does not allow cross-origin calls from pages.
+ * DirectTransport calls the API with fetch, for environments without that
+ * restriction such as Node.js, browser extensions and Electron. Both
+ * resolve to the same { data, status, statusText, headers } envelope: JSON
+ * bodies are parsed, binary bodies are ArrayBuffers (or ReadableStreams when
+ * asked for) and header names are lower case.
+ */
+
+class DAPTransport {
+  /**
+   * Send a request
+   *
+   * @param {string} url - The target URL
+   * @param {string} method - HTTP method (GET, POST, etc.)
+   * @param {Object} headers - HTTP headers
+   * @param {Object|string|null} data - Request body data
+   * @param {Object|null} params - URL query parameters
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
+   * @param {string|null} requestId - ID correlating the request with log lines (optional)
+   * @param {string} responseType - How binary bodies are returned: "arraybuffer" or "stream" (a ReadableStream)
+   * @returns {Promise<Object>} - Response envelope with data, status, statusText and headers
+   * @throws {Error} - If no response is received
+   */
+  async request(url, method = 'GET', headers = {}, data = null, params = null, signal = null, requestId = null, responseType = 'arraybuffer') {
+    throw new Error(`${this.constructor.name} does not implement request()`);
+  }
+
+  /**
+   * Convert response headers to a plain dictionary with lower case names
+   *
+   * @param {Headers|Object|null} headers - A fetch Headers object or a header dictionary
+   * @returns {Object} - The headers; missing values are left out
+   */
+  static normalizeHeaders(headers) {
+    const result = {};
+    if (!headers) {
+      return result;
+    }
+
+    const entries = typeof headers.entries === 'function' ? Array.from(headers.entries()) : Object.entries(headers);
+    for (const [name, value] of entries) {
+      if (value !== null && value !== undefined) {
+        result[name.toLowerCase()] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Build the response envelope shared by every transport
+   *
+   * @param {Object} response - The response parts: data, status, statusText, headers, plus redirect
+   *   for a proxy redirect (optional)
+   * @returns {Object} - Envelope with data, status, statusText and headers (and redirect when given)
+   */
+  static normalizeResponse({ data = null, status, statusText = '', headers = null, redirect = null }) {
+    const envelope = {
+      data,
+      status,
+      statusText: statusText || '',
+      headers: DAPTransport.normalizeHeaders(headers)
+    };
+    if (redirect) {
+      envelope.redirect = redirect;
+    }
+    return envelope;
+  }
+
+  /**
+   * Read a binary response body
+   *
+   * @param {Response} response - The fetch response
+   * @param {string} responseType - "arraybuffer" or "stream"
+   * @returns {Promise<ArrayBuffer|ReadableStream>} - The body
+   */
+  static async readBinary(response, responseType = 'arraybuffer') {
+    if (responseType === 'stream' && response.body) {
+      return response.body;
+    }
+    return await response.arrayBuffer();
+  }
+
+  /**
+   * Create the error thrown when no usable response is received
+   *
+   * @param {string} message - The error message
+   * @param {number|null} status - HTTP status of the failed response (optional)
+   * @param {string|null} retryAfter - Value of its Retry-After header (optional)
+   * @returns {Error} - The error, with status and retryAfter set for DAPClient's retries
+   */
+  static createError(message, status = null, retryAfter = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryAfter = retryAfter;
+    return error;
+  }
+}
+
+class ProxyTransport extends DAPTransport {
+  /**
+   * Initialize the proxy transport
+   *
+   * @param {string} proxyUrl - URL of the CORS proxy
+   */
+  constructor(proxyUrl = "/api/proxy") {
+    super();
+    this.proxyUrl = proxyUrl;
+  }
+
+  /**
+   * Send a request through the proxy
+   *
+   * The proxy answers JSON and text responses in a JSON envelope and streams
+   * binary bodies as they are, with the upstream status and headers in
+   * X-Upstream-* headers. API calls that failed with a server error come back
+   * as proxy errors carrying the upstream status; they are returned as
+   * ordinary responses, as DirectTransport does. Failures of the proxy itself
+   * are thrown.
+   *
+   * @param {string} url - The target URL
+   * @param {string} method - HTTP method (GET, POST, etc.)
+   * @param {Object} headers - HTTP headers
+   * @param {Object|string|null} data - Request body data
+   * @param {Object|null} params - URL query parameters
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
+   * @param {string|null} requestId - ID correlating the request with log lines (optional)
+   * @param {string} responseType - How binary bodies are returned: "arraybuffer" or "stream" (a ReadableStream)
+   * @returns {Promise<Object>} - Response envelope with data, status, statusText and headers
+   * @throws {Error} - If the proxy cannot be reached or fails
+   */
+  async request(url, method = 'GET', headers = {}, data = null, params = null, signal = null, requestId = null, responseType = 'arraybuffer') {
+    const response = await fetch(this.proxyUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(requestId ? { 'X-Request-ID': requestId } : {})
+      },
+      body: JSON.stringify({ url, method, headers, data, params }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorBody = null;
+      try {
+        errorBody = JSON.parse(errorText);
+      } catch (parseError) {
+        // Not a JSON error body
+      }
+
+      if (errorBody && typeof errorBody.status === 'number') {
+        return DAPTransport.normalizeResponse({
+          data: errorBody.data ?? null,
+          status: errorBody.status,
+          statusText: errorBody.statusText,
+          headers: { 'retry-after': response.headers.get('Retry-After') }
+        });
+      }
+      // Rejections by the proxy itself (e.g. a target outside its allowlist) carry a readable error
+      throw DAPTransport.createError(
+        `Proxy request failed: ${response.status} - ${errorBody && errorBody.error ? errorBody.error : errorText}`,
+        response.status,
+        response.headers.get('Retry-After')
+      );
+    }
+
+    const upstreamStatus = response.headers.get('X-Upstream-Status');
+    if (upstreamStatus) {
+      const upstreamHeaders = response.headers.get('X-Upstream-Headers');
+      return DAPTransport.normalizeResponse({
+        data: await DAPTransport.readBinary(response, responseType),
+        status: parseInt(upstreamStatus, 10),
+        statusText: decodeURIComponent(response.headers.get('X-Upstream-Status-Text') || ''),
+        headers: upstreamHeaders ? JSON.parse(decodeURIComponent(upstreamHeaders)) : response.headers
+      });
+    }
+
+    return DAPTransport.normalizeResponse(await response.json());
+  }
+
+  /**
+   * Get the credential profiles the proxy can log in with
+   *
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
+   * @returns {Promise<Object>} - Dictionary with the profiles (list of { name, label }) and profilesOnly
+   * @throws {Error} - If the proxy cannot be reached or fails
+   */
+  async listProfiles(signal = null) {
+    const response = await fetch(this.proxyUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'profiles' }),
+      signal
+    });
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw DAPTransport.createError(
+        `Proxy request failed: ${response.status} - ${body && body.error ? body.error : response.statusText}`,
+        response.status
+      );
+    }
+    return { profiles: (body && body.profiles) || [], profilesOnly: !!(body && body.profilesOnly) };
+  }
+}
+
+class DirectTransport extends DAPTransport {
+  /**
+   * Initialize the direct transport
+   *
+   * @param {Function|null} fetchFunction - fetch implementation to use (defaults to the global fetch)
+   */
+  constructor(fetchFunction = null) {
+    super();
+    this.fetch = fetchFunction || ((...args) => fetch(...args));
+  }
+
+  /**
+   * Read a response body by its content type
+   *
+   * @param {Response} response - The fetch response
+   * @param {string} responseType - How binary bodies are returned: "arraybuffer" or "stream"
+   * @returns {Promise<*>} - Parsed JSON, text for text types, otherwise an ArrayBuffer or ReadableStream (null when empty)
+   */
+  static async readBody(response, responseType = 'arraybuffer') {
+    const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+
+    if (contentType.includes('json')) {
+      const text = await response.text();
+      try {
+        return JSON.parse(text);
+      } catch (parseError) {
+        return text;
+      }
+    }
+    if (contentType.startsWith('text/') || contentType.includes('xml') || contentType.includes('x-www-form-urlencoded')) {
+      return await response.text();
+    }
+
+    const body = await DAPTransport.readBinary(response, responseType);
+    return body instanceof ArrayBuffer && body.byteLength === 0 && !contentType ? null : body;
+  }
+
+  /**
+   * Send a request straight to the API
+   *
+   * @param {string} url - The target URL
+   * @param {string} method - HTTP method (GET, POST, etc.)
+   * @param {Object} headers - HTTP headers
+   * @param {Object|string|null} data - Request body data (objects are sent as JSON)
+   * @param {Object|null} params - URL query parameters
+   * @param {AbortSignal|null} signal - Signal to cancel the request (optional)
+   * @param {string|null} requestId - ID correlating the request with log lines (optional)
+   * @param {string} responseType - How binary bodies are returned: "arraybuffer" or "stream" (a ReadableStream)
+   * @returns {Promise<Object>} - Response envelope with data, status, statusText and headers
+   * @throws {Error} - If the request cannot be sent
+   */
+  async request(url, method = 'GET', headers = {}, data = null, params = null, signal = null, requestId = null, responseType = 'arraybuffer') {
+    const target = new URL(url);
+    Object.entries(params || {}).forEach(([name, value]) => target.searchParams.set(name, value));
+
+    const response = await this.fetch(target.toString(), {
+      method,
+      headers,
+      body: data === null || data === undefined ? undefined : typeof data === 'string' ? data : JSON.stringify(data),
+      signal
+    });
+
+    return DAPTransport.normalizeResponse({
+      data: await DirectTransport.readBody(response, responseType),
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+}
+
+// Export the transports for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { DAPTransport, ProxyTransport, DirectTransport };
+} else {
+  window.DAPTransport = DAPTransport;
+  window.ProxyTransport = ProxyTransport;
+  window.DirectTransport = DirectTransport;
+}
@@ -0,0 +1,440 @@
+/**
+ * Canvas DAP XLSX Writer
+ *
+ * This module writes an Excel workbook (Office Open XML) to a writable
+ * stream without any external library. Worksheets are written row by row
+ * into a streaming ZIP archive (compressed with CompressionStream when the
+ * browser supports "deflate-raw"), so large tables are never held in memory.
+ * A worksheet that reaches the Excel row limit continues on a new sheet.
+ */
+
+class XlsxWriter {
+  /**
+   * Initialize the XLSX writer
+   *
+   * @param {WritableStream} writable - The destination, e.g. a FileSystemWritableFileStream (closed by close())
+   */
+  constructor(writable) {
+    this.writer = writable.getWriter();
+    this.encoder = new TextEncoder();
+    this.offset = 0;
+    this.entries = [];
+    this.entry = null;
+    this.sheets = [];
+    this.sheet = null;
+    this.buffer = '';
+  }
+
+  /**
+   * Get the CRC-32 lookup table used by ZIP
+   *
+   * @returns {Uint32Array} - The lookup table
+   */
+  static crcTable() {
+    if (!XlsxWriter.CRC_TABLE) {
+      XlsxWriter.CRC_TABLE = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        XlsxWriter.CRC_TABLE[n] = c >>> 0;
+      }
+    }
+    return XlsxWriter.CRC_TABLE;
+  }
+
+  /**
+   * Escape text for use in XML, dropping characters XML does not allow
+   *
+   * @param {*} value - The value
+   * @returns {string} - The escaped text
+   */
+  static escapeXml(value) {
+    return String(value)
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Get the column letters for a column index (0 = "A", 26 = "AA")
+   *
+   * @param {number} index - The column index
+   * @returns {string} - The column letters
+   */
+  static columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+  }
+
+  /**
+   * Make a valid, unique worksheet name (at most 31 characters, no []:*?/\)
+   *
+   * @param {string} name - The requested name
+   * @returns {string} - The sheet name
+   */
+  sheetName(name) {
+    const base = String(name || 'Sheet').replace(/[\[\]:*?\/\\]/g, '_').slice(0, 31) || 'Sheet';
+    const used = new Set(this.sheets.map(sheet => sheet.name.toLowerCase()));
+    let candidate = base;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    return candidate;
+  }
+
+  /**
+   * Write raw bytes to the destination
+   *
+   * @param {Uint8Array} bytes - The bytes
+   * @returns {Promise<void>}
+   */
+  async writeRaw(bytes) {
+    if (this.offset + bytes.byteLength > 0xFFFFFFFF) {
+      throw new Error("The workbook is larger than 4 GB, which this writer does not support");
+    }
+    await this.writer.write(bytes);
+    this.offset += bytes.byteLength;
+  }
+
+  /**
+   * Start a file in the ZIP archive
+   *
+   * Sizes and the CRC are not known up front, so they follow the data in a
+   * data descriptor.
+   *
+   * @param {string} path - The path inside the archive
+   * @returns {Promise<void>}
+   */
+  async startEntry(path) {
+    const name = this.encoder.encode(path);
+    let compressor = null;
+    try {
+      compressor = new CompressionStream('deflate-raw');
+    } catch (error) {
+      // Older browsers only support gzip/deflate; store the file uncompressed
+    }
+
+    const now = new Date();
+    const entry = {
+      name,
+      offset: this.offset,
+      method: compressor ? 8 : 0,
+      time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+      date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate(),
+      crc: 0xFFFFFFFF,
+      size: 0,
+      compressedSize: 0,
+      input: null,
+      output: null
+    };
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 0x0808, true);
+    header.setUint16(8, entry.method, true);
+    header.setUint16(10, entry.time, true);
+    header.setUint16(12, entry.date, true);
+    header.setUint16(26, name.byteLength, true);
+    await this.writeRaw(new Uint8Array(header.buffer));
+    await this.writeRaw(name);
+
+    if (compressor) {
+      entry.input = compressor.writable.getWriter();
+      const reader = compressor.readable.getReader();
+      entry.output = (async () => {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) {
+            return;
+          }
+          entry.compressedSize += value.byteLength;
+          await this.writeRaw(value);
+        }
+      })();
+      // Errors surface when the entry is finished
+      entry.output.catch(() => {});
+    }
+
+    this.entry = entry;
+  }
+
+  /**
+   * Write data to the current ZIP entry
+   *
+   * @param {string} text - The data
+   * @returns {Promise<void>}
+   */
+  async writeEntry(text) {
+    const bytes = this.encoder.encode(text);
+    const table = XlsxWriter.crcTable();
+    const entry = this.entry;
+
+    let crc = entry.crc;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    entry.crc = crc;
+    entry.size += bytes.byteLength;
+
+    if (entry.input) {
+      await entry.input.write(bytes);
+    } else {
+      entry.compressedSize += bytes.byteLength;
+      await this.writeRaw(bytes);
+    }
+  }
+
+  /**
+   * Finish the current ZIP entry with its data descriptor
+   *
+   * @returns {Promise<void>}
+   */
+  async endEntry() {
+    const entry = this.entry;
+    if (entry.input) {
+      await entry.input.close();
+      await entry.output;
+    }
+    entry.crc = (entry.crc ^ 0xFFFFFFFF) >>> 0;
+
+    const descriptor = new DataView(new ArrayBuffer(16));
+    descriptor.setUint32(0, 0x08074b50, true);
+    descriptor.setUint32(4, entry.crc, true);
+    descriptor.setUint32(8, entry.compressedSize, true);
+    descriptor.setUint32(12, entry.size, true);
+    await this.writeRaw(new Uint8Array(descriptor.buffer));
+
+    this.entries.push(entry);
+    this.entry = null;
+  }
+
+  /**
+   * Write a complete file to the ZIP archive
+   *
+   * @param {string} path - The path inside the archive
+   * @param {string} text - The file content
+   * @returns {Promise<void>}
+   */
+  async writeFile(path, text) {
+    await this.startEntry(path);
+    await this.writeEntry(text);
+    await this.endEntry();
+  }
+
+  /**
+   * Write buffered worksheet rows to the current entry
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.buffer) {
+      const text = this.buffer;
+      this.buffer = '';
+      await this.writeEntry(text);
+    }
+  }
+
+  /**
+   * Format a worksheet row
+   *
+   * Numbers and booleans are written as such; other values (objects and
+   * arrays as JSON) are written as text, truncated to the Excel cell limit.
+   *
+   * @param {number} rowNumber - The row number (starting at 1)
+   * @param {Array<*>} values - The cell values
+   * @param {number} style - Cell style index (1 is bold)
+   * @returns {string} - The row XML
+   */
+  static rowXml(rowNumber, values, style = 0) {
+    const styleAttribute = style ? ` s="${style}"` : '';
+    const cells = values.map((value, index) => {
+      const ref = `${XlsxWriter.columnName(index)}${rowNumber}`;
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+      if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+      }
+      if (typeof value === 'boolean') {
+        return `<c r="${ref}"${styleAttribute} t="b"><v>${value ? 1 : 0}</v></c>`;
+      }
+      const text = (typeof value === 'object' ? JSON.stringify(value) : String(value)).slice(0, 32767);
+      return `<c r="${ref}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${XlsxWriter.escapeXml(text)}</t></is></c>`;
+    });
+    return `<row r="${rowNumber}">${cells.join('')}</row>`;
+  }
+
+  /**
+   * Start a new worksheet with a bold, frozen header row
+   *
+   * @param {string} name - The sheet name (made valid and unique)
+   * @param {Array<string>} headers - The column headers
+   * @returns {Promise<void>}
+   */
+  async addSheet(name, headers) {
+    await this.endSheet();
+
+    const sheet = {
+      name: this.sheetName(name),
+      baseName: name,
+      headers,
+      rows: 1,
+      index: this.sheets.length + 1
+    };
+    this.sheets.push(sheet);
+    this.sheet = sheet;
+
+    await this.startEntry(`xl/worksheets/sheet${sheet.index}.xml`);
+    this.buffer =
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      '<sheetData>' + XlsxWriter.rowXml(1, headers, 1);
+  }
+
+  /**
+   * Add a row to the current worksheet
+   *
+   * @param {Array<*>} values - The cell values, in header order
+   * @returns {Promise<void>}
+   */
+  async addRow(values) {
+    if (this.sheet.rows >= XlsxWriter.MAX_ROWS) {
+      await this.addSheet(this.sheet.baseName, this.sheet.headers);
+    }
+
+    this.sheet.rows++;
+    this.buffer += XlsxWriter.rowXml(this.sheet.rows, values);
+    if (this.buffer.length >= 65536) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Finish the current worksheet
+   *
+   * @returns {Promise<void>}
+   */
+  async endSheet() {
+    if (!this.sheet) {
+      return;
+    }
+    this.buffer += '</sheetData></worksheet>';
+    await this.flush();
+    await this.endEntry();
+    this.sheet = null;
+  }
+
+  /**
+   * Write the workbook parts and the ZIP directory, and close the destination
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.endSheet();
+    if (this.sheets.length === 0) {
+      await this.addSheet('Sheet1', []);
+      await this.endSheet();
+    }
+
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const sheetTypes = this.sheets.map(sheet =>
+      `<Override PartName="/xl/worksheets/sheet${sheet.index}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+
+    await this.writeFile('[Content_Types].xml', xmlHeader +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheetTypes + '</Types>');
+
+    await this.writeFile('_rels/.rels', xmlHeader +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>');
+
+    await this.writeFile('xl/workbook.xml', xmlHeader +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      this.sheets.map(sheet => `<sheet name="${XlsxWriter.escapeXml(sheet.name)}" sheetId="${sheet.index}" r:id="rId${sheet.index}"/>`).join('') +
+      '</sheets></workbook>');
+
+    await this.writeFile('xl/_rels/workbook.xml.rels', xmlHeader +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      this.sheets.map(sheet =>
+        `<Relationship Id="rId${sheet.index}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.index}.xml"/>`
+      ).join('') +
+      `<Relationship Id="rId${this.sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>');
+
+    await this.writeFile('xl/styles.xml', xmlHeader +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>');
+
+    // Central directory
+    const directoryOffset = this.offset;
+    for (const entry of this.entries) {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true);
+      record.setUint16(4, 20, true);
+      record.setUint16(6, 20, true);
+      record.setUint16(8, 0x0808, true);
+      record.setUint16(10, entry.method, true);
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.date, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.compressedSize, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.name.byteLength, true);
+      record.setUint32(42, entry.offset, true);
+      await this.writeRaw(new Uint8Array(record.buffer));
+      await this.writeRaw(entry.name);
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, this.offset - directoryOffset, true);
+    end.setUint32(16, directoryOffset, true);
+    await this.writeRaw(new Uint8Array(end.buffer));
+
+    await this.writer.close();
+  }
+
+  /**
+   * Discard the workbook (e.g. when the conversion fails or is cancelled)
+   *
+   * @param {*} reason - The reason passed on to the destination
+   * @returns {Promise<void>}
+   */
+  async abort(reason) {
+    await this.writer.abort(reason).catch(() => {});
+  }
+}
+
+// Rows per worksheet allowed by Excel (including the header row)
+XlsxWriter.MAX_ROWS = 1048576;
+XlsxWriter.CRC_TABLE = null;
+
+// Export the writer for use in other scripts
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = { XlsxWriter };
+} else {
+  window.XlsxWriter = XlsxWriter;
+}